@@ -2,17 +2,27 @@
 // - Main article: Crossref + PubMed + Retraction Watch + OpenAlex is_retracted
 // - References: only show retracted and problematic refs, but evaluate all
 // - Clickable summary chips, progress bar, RW status indicator
+// - The lookups and classification live in core.js (loaded first, shared
+//   with the CLI); this file is the page: input modes, rendering, exports
 
 // ==================== CONFIG ====================
 
-// PubMed API key (yours)
-const PUBMED_API_KEY = "7d653c3573d4967a70f644df87ffbd392708";
+// localStorage key of the watchlist (saved DOIs + last screening snapshot)
+const WATCHLIST_STORAGE_KEY = "retractionRadar.watchlist";
 
-// Optional polite parameter for OpenAlex
-const OPENALEX_MAILTO = "name@example.org";
+// localStorage key of the user's settings (PubMed key, email, sources)
+const SETTINGS_STORAGE_KEY = "retractionRadar.settings";
 
-// Local Retraction Watch DOI index (updated by GitHub Action)
-const RW_INDEX_URL = "data/retraction_watch_doi_index.txt";
+// Forward mode: citing works fetched per OpenAlex page, and at most in total
+const CITED_BY_PAGE_SIZE = 200;
+const CITED_BY_MAX_WORKS = 2000;
+
+// Service worker: offline app shell (the index snapshot lives in IndexedDB)
+const SERVICE_WORKER_URL = "sw.js";
+
+// While the page is open, the index manifest is re-checked this often; a
+// newer index is loaded between runs
+const RW_MANIFEST_RECHECK_MS = 30 * 60 * 1000;
 
 // ==================== GLOBAL STATE ====================
 
@@ -20,18 +30,42 @@ let lastAnalyzedDoi = "";
 let currentInterestingRefs = []; // retracted + problematic only
 let currentCounts = null;
 let currentFilter = "all";
+let currentAllRefs = []; // every checked reference, including OK ones
+let showAllRefs = false; // list OK references too
+let currentSort = { key: "status", dir: "desc" };
+let currentSearch = "";
 
-let rwIndexPromise = null; // Promise<Set<string>>
-let rwIndexMeta = { loaded: false, size: 0, error: null };
+// Batch mode: one entry per focal DOI
+// { idx, doi, state: "pending"|"running"|"done"|"error", article, error }
+let batchResults = [];
+
+// Forward mode ("who cites this"): last checked work and the works citing it
+// { doi, title, workDoi, mainInfo, citedByCount, citing: [...], truncated }
+let citedByResult = null;
 
 // progress bar state (per-reference checking)
 let totalRefsForProgress = 0;
 let processedRefsForProgress = 0;
 
-// Analyze button state
-let analyzeBtnGlobal = null;
+// Article currently shown in the results table (single DOI, batch drill-down
+// or bibliography); used by "Save to watchlist"
+let currentArticle = null;
+
+// Raw responses recorded by the last single-article run when "Record a
+// reproducibility bundle" was ticked (kept across Pause/Resume), else null
+let bundleRecording = null;
+
+// Analyze button state (every button that starts a run)
+let runButtonsGlobal = [];
 let analyzeReady = false; // RW index has finished loading (success or fail)
 let analyzeBusy = false;  // currently processing a DOI
+let rwIndexReloadPending = false; // newer index published during a run
+
+// Run in progress (Pause / Cancel abort its requests) and, once a run has
+// been paused or stopped by an error, the task that picks it up again
+let runController = null;
+let runPausable = false;
+let resumeTask = null;
 
 // ==================== HELPERS ====================
 
@@ -46,6 +80,16 @@ function setStatus(message, isError = false) {
   el.classList.toggle("error", !!isError);
 }
 
+// Adds a sentence to the status line, keeping its error styling
+function appendStatus(message) {
+  const el = $("status");
+  if (!el || !message) return;
+  setStatus(
+    el.textContent ? el.textContent + " " + message : message,
+    el.classList.contains("error")
+  );
+}
+
 function statusTag(label, extraClass) {
   const cls = ["status-tag"];
   if (extraClass) cls.push(extraClass);
@@ -72,15 +116,6 @@ function mapStatusToTag(status) {
   }
 }
 
-function normalizeDoi(raw) {
-  if (!raw) return "";
-  return raw
-    .trim()
-    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")
-    .replace(/^doi:/i, "")
-    .toLowerCase();
-}
-
 function escapeHtml(str) {
   if (!str) return "";
   return String(str)
@@ -91,429 +126,139 @@ function escapeHtml(str) {
     .replace(/'/g, "&#39;");
 }
 
-// For ordering: retracted first, then problematic, then others
-const STATUS_SCORE = {
-  retracted: 5,
-  expression_of_concern: 4,
-  withdrawn: 4,
-  corrected: 3,
-  problem_no_doi: 2,
-  problem_unknown: 1,
-  ok: 0,
-};
+// Link to an OpenAlex work page; anything but an https://openalex.org/ URL
+// (e.g. from a replayed bundle) is shown as plain text
+function openAlexLinkHtml(openAlexId) {
+  const label = "OpenAlex " + escapeHtml(openAlexShortId(openAlexId));
+  if (!/^https:\/\/openalex\.org\/[A-Za-z0-9]+$/.test(openAlexId || "")) return label;
+  return `<a href="${escapeHtml(
+    openAlexId
+  )}" target="_blank" rel="noopener noreferrer" class="doi-link">${label}</a>`;
+}
 
-function compareBySeverity(a, b) {
-  const sa = STATUS_SCORE[a.status] ?? 0;
-  const sb = STATUS_SCORE[b.status] ?? 0;
-  if (sa !== sb) return sb - sa;
-  return a.idx - b.idx;
+function describeCacheAge(cachedAt) {
+  const hours = Math.round((Date.now() - cachedAt) / (60 * 60 * 1000));
+  if (hours < 1) return "< 1 h old";
+  if (hours < 48) return `${hours} h old`;
+  return `${Math.round(hours / 24)} d old`;
 }
 
 // ==================== ANALYZE BUTTON CONTROL ====================
 
 function refreshAnalyzeButton() {
-  if (!analyzeBtnGlobal) return;
   const enabled = analyzeReady && !analyzeBusy;
-  analyzeBtnGlobal.disabled = !enabled;
 
-  if (!enabled) {
-    // Greyed-out appearance while disabled
-    if (!analyzeBtnGlobal.dataset.originalBg) {
-      const cs = window.getComputedStyle(analyzeBtnGlobal);
-      analyzeBtnGlobal.dataset.originalBg = cs.backgroundColor || "";
-    }
-    analyzeBtnGlobal.style.filter = "grayscale(60%)";
-    analyzeBtnGlobal.style.opacity = "0.6";
-    analyzeBtnGlobal.style.cursor = "not-allowed";
-  } else {
-    analyzeBtnGlobal.style.filter = "";
-    analyzeBtnGlobal.style.opacity = "";
-    analyzeBtnGlobal.style.cursor = "";
-  }
-}
+  runButtonsGlobal.forEach((btn) => {
+    if (!btn) return;
+    btn.disabled = !enabled;
 
-// ==================== RETRACTION WATCH INDEX ====================
-
-function updateRwStatus() {
-  let el = $("rwStatus");
-  if (!el) return;
-  if (rwIndexMeta.loaded) {
-    el.textContent = `Retraction Watch data: loaded (${rwIndexMeta.size} DOIs).`;
-    el.className = "rw-status rw-status--ok";
-  } else if (rwIndexMeta.error) {
-    el.textContent = `Retraction Watch data: unavailable (${rwIndexMeta.error}). Using Crossref/PubMed/OpenAlex only.`;
-    el.className = "rw-status rw-status--error";
-  } else {
-    el.textContent = "Retraction Watch data: loading…";
-    el.className = "rw-status rw-status--loading";
-  }
+    if (!enabled) {
+      // Greyed-out appearance while disabled
+      if (!btn.dataset.originalBg) {
+        const cs = window.getComputedStyle(btn);
+        btn.dataset.originalBg = cs.backgroundColor || "";
+      }
+      btn.style.filter = "grayscale(60%)";
+      btn.style.opacity = "0.6";
+      btn.style.cursor = "not-allowed";
+    } else {
+      btn.style.filter = "";
+      btn.style.opacity = "";
+      btn.style.cursor = "";
+    }
+  });
 }
 
-function ensureRetractionWatchIndex() {
-  if (!rwIndexPromise) {
-    rwIndexMeta = { loaded: false, size: 0, error: null };
-    updateRwStatus();
+// ==================== PAUSE / CANCEL / RESUME ====================
 
-    rwIndexPromise = fetch(RW_INDEX_URL)
-      .then((res) => {
-        if (!res.ok) {
-          throw new Error("HTTP " + res.status);
-        }
-        return res.text();
-      })
-      .then((text) => {
-        const set = new Set();
-        // Handle any format: one big line, newlines, commas, spaces, etc.
-        const tokens = text.split(/[\s,;]+/);
-        for (const t of tokens) {
-          const norm = normalizeDoi(t);
-          if (norm && norm.startsWith("10.")) {
-            set.add(norm);
-          }
-        }
-        rwIndexMeta.loaded = true;
-        rwIndexMeta.size = set.size;
-        rwIndexMeta.error = null;
-        updateRwStatus();
-        console.log("Retraction Watch DOI index loaded with", set.size, "entries");
-        return set;
-      })
-      .catch((err) => {
-        rwIndexMeta.loaded = false;
-        rwIndexMeta.size = 0;
-        rwIndexMeta.error = err.message || String(err);
-        updateRwStatus();
-        console.warn("Retraction Watch index could not be loaded:", err);
-        return new Set(); // fail soft
-      });
-  }
-  return rwIndexPromise;
-}
+function refreshRunControls() {
+  const controls = $("runControls");
+  if (!controls) return;
+  const stopping = !!(runController && runController.signal.aborted);
 
-async function isDoiInRetractionWatch(doi) {
-  const index = await ensureRetractionWatchIndex();
-  if (!index.size) return false;
-  return index.has(normalizeDoi(doi));
+  controls.classList.toggle("hidden", !analyzeBusy && !resumeTask);
+  $("pauseBtn").classList.toggle("hidden", !analyzeBusy || !runPausable);
+  $("cancelBtn").classList.toggle("hidden", !analyzeBusy);
+  $("resumeBtn").classList.toggle("hidden", analyzeBusy || !resumeTask);
+  $("pauseBtn").disabled = stopping;
+  $("cancelBtn").disabled = stopping;
 }
 
-// ==================== OPENALEX ====================
-
-async function fetchOpenAlexWorkByDoi(doi) {
-  const normalized = normalizeDoi(doi) || doi.trim();
-  let url =
-    "https://api.openalex.org/works/https://doi.org/" +
-    encodeURIComponent(normalized);
-
-  if (OPENALEX_MAILTO) {
-    url += "?mailto=" + encodeURIComponent(OPENALEX_MAILTO);
-  }
-
-  const res = await fetch(url);
-  if (res.status === 404) throw new Error("OpenAlex: DOI not found");
-  if (!res.ok) throw new Error("OpenAlex work HTTP " + res.status);
-  return res.json();
+// reason: "paused" or "cancelled"; the run winds down and keeps what it checked
+function stopRun(reason) {
+  if (!runController || runController.signal.aborted) return;
+  runController.abort(reason);
+  setStatus(reason === "paused" ? "Pausing…" : "Cancelling…");
+  refreshRunControls();
 }
 
-async function fetchOpenAlexWorkById(openAlexId) {
-  const id = String(openAlexId).replace("https://openalex.org/", "");
-  let url = "https://api.openalex.org/works/" + encodeURIComponent(id);
-  if (OPENALEX_MAILTO) {
-    url += "?mailto=" + encodeURIComponent(OPENALEX_MAILTO);
-  }
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("OpenAlex ref HTTP " + res.status);
-  return res.json();
-}
-
-function buildCitationFromOpenAlex(work) {
-  if (!work) return "";
-
-  const title = work.display_name || "";
-  const year = work.publication_year || "";
-  const venue = (work.host_venue && work.host_venue.display_name) || "";
-  const biblio = work.biblio || {};
-  const vol = biblio.volume || "";
-  const issue = biblio.issue || "";
-  const fp = biblio.first_page || "";
-  const lp = biblio.last_page || "";
-  const doi = work.doi || "";
-
-  // authors (first 3)
-  let authors = "";
-  if (Array.isArray(work.authorships) && work.authorships.length > 0) {
-    const names = work.authorships
-      .map((a) =>
-        a.author && a.author.display_name ? a.author.display_name : ""
-      )
-      .filter(Boolean);
-    if (names.length > 3) {
-      authors = names.slice(0, 3).join(", ") + " et al.";
-    } else {
-      authors = names.join(", ");
-    }
-  }
-
-  const parts = [];
-  if (authors) parts.push(authors + ".");
-  if (title) parts.push(title + ".");
-  if (venue) parts.push(venue);
-  const yearBits = [];
-  if (year) yearBits.push(year);
-  if (vol) yearBits.push(vol + (issue ? "(" + issue + ")" : ""));
-  if (fp || lp) {
-    let pages = fp || "";
-    if (lp) pages += "-" + lp;
-    yearBits.push("p. " + pages);
-  }
-  if (yearBits.length) parts.push(yearBits.join("; "));
-  if (doi) parts.push("DOI: " + normalizeDoi(doi));
-  return parts.join(" ");
-}
-
-// ==================== CROSSREF ====================
-
-async function fetchCrossrefForDoi(doi) {
-  const url =
-    "https://api.crossref.org/works/" + encodeURIComponent(doi.trim());
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("Crossref HTTP " + res.status);
-  const json = await res.json();
-  return json.message || {};
-}
-
-function determineRetractionStatusFromCrossref(message) {
-  let status = "ok";
-  const notes = [];
-
-  const updateTo = message["update-to"] || message["update_to"] || [];
-  if (Array.isArray(updateTo) && updateTo.length > 0) {
-    for (const u of updateTo) {
-      const updateType = (u["update-type"] || u["update_type"] || "")
-        .toLowerCase();
-      if (updateType.includes("retract")) {
-        status = "retracted";
-        notes.push("Crossref: update-type = retraction.");
-      } else if (updateType.includes("expression")) {
-        status = "expression_of_concern";
-        notes.push("Crossref: update-type = expression of concern.");
-      } else if (
-        updateType.includes("correction") ||
-        updateType.includes("erratum")
-      ) {
-        if (status === "ok") status = "corrected";
-        notes.push("Crossref: update-type = correction/erratum.");
-      } else if (updateType.includes("withdraw")) {
-        if (status === "ok") status = "withdrawn";
-        notes.push("Crossref: update-type = withdrawal.");
-      }
-    }
-  }
-
-  if (message.relation) {
-    const rel = message.relation;
-    if (rel["is-retracted-by"]) {
-      status = "retracted";
-      notes.push("Crossref relation: is-retracted-by.");
-    } else if (rel["has-retraction"]) {
-      status = "retracted";
-      notes.push("Crossref relation: has-retraction.");
-    }
-  }
-
-  if (status === "ok" && notes.length === 0) {
-    notes.push("Crossref: no retraction/correction signals.");
-  }
-
-  return { status, notes: notes.join(" ") };
+// Called by a run that stopped part-way (article.stopped); a cancelled run
+// keeps its partial results but is not offered for resuming
+function offerResume(stopped, task) {
+  resumeTask = stopped && stopped.reason !== "cancelled" ? task : null;
 }
 
-async function getCrossrefRetractionInfoForDoi(doi) {
-  try {
-    const msg = await fetchCrossrefForDoi(doi);
-    return determineRetractionStatusFromCrossref(msg);
-  } catch (err) {
-    console.warn("Crossref error for", doi, err);
-    return { status: "unknown", notes: "Crossref error: " + err.message };
+function describeStoppedRun(stopped, noun) {
+  const progress = `${stopped.checked}/${stopped.total} ${noun}`;
+  if (stopped.reason === "cancelled") {
+    return `Cancelled after ${progress}; showing the partial results.`;
   }
-}
-
-// ==================== PUBMED (E-Utilities) ====================
-
-// 1) DOI → PMID
-async function fetchPubMedIdForDoi(doi) {
-  const term = `${doi.trim()}[DOI]`;
-  const url =
-    "https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi" +
-    `?db=pubmed&retmode=json&term=${encodeURIComponent(term)}` +
-    `&api_key=${encodeURIComponent(PUBMED_API_KEY)}`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("PubMed esearch HTTP " + res.status);
-  const json = await res.json();
-  const ids = (json.esearchresult && json.esearchresult.idlist) || [];
-  if (!ids.length) return null;
-  return ids[0];
-}
-
-// 2) PMID → summary
-async function fetchPubMedSummaryForPmid(pmid) {
-  const url =
-    "https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi" +
-    `?db=pubmed&retmode=json&id=${encodeURIComponent(pmid)}` +
-    `&api_key=${encodeURIComponent(PUBMED_API_KEY)}`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("PubMed esummary HTTP " + res.status);
-  const json = await res.json();
-  if (!json.result || !json.result[pmid]) {
-    throw new Error("PubMed esummary: missing result");
+  if (stopped.reason === "paused") {
+    return `Paused after ${progress}. Resume continues with the rest.`;
   }
-  return json.result[pmid];
+  return `Stopped after ${progress}: ${stopped.message}. Resume continues with the rest.`;
 }
 
-function determineRetractionStatusFromPubMedSummary(pmid, summary) {
-  const pubtypes = summary.pubtype || [];
-  const ptLower = pubtypes.map((p) => String(p).toLowerCase());
-  let status = "ok";
-  const notes = [];
+// ==================== RETRACTION WATCH STATUS ====================
 
-  for (const pt of ptLower) {
-    if (pt.includes("retracted publication")) {
-      status = "retracted";
-      notes.push("PubMed: publication type = Retracted Publication.");
-      break;
-    }
-    if (pt.includes("retraction of publication")) {
-      status = "retracted";
-      notes.push("PubMed: publication type = Retraction of Publication.");
-      break;
-    }
-    if (pt.includes("expression of concern")) {
-      status = "expression_of_concern";
-      notes.push("PubMed: publication type = Expression of Concern.");
-      break;
+function updateRwStatus() {
+  let el = $("rwStatus");
+  if (!el) return;
+  el.style.color = "#9ca3af";
+  if (rwIndexMeta.loaded) {
+    const detail =
+      rwIndexMeta.format === "rich"
+        ? "with retraction nature, dates and reasons"
+        : "DOI list only";
+    let text = `Retraction Watch data: loaded (${rwIndexMeta.size} DOIs, ${detail}).`;
+    if (rwIndexMeta.manifest) {
+      text += " " + describeRwSnapshot(rwIndexMeta.manifest, rwIndexMeta.update);
     }
-    if (
-      pt.includes("erratum") ||
-      pt.includes("corrigendum") ||
-      pt.includes("correction")
-    ) {
-      if (status === "ok") status = "corrected";
-      notes.push("PubMed: publication type indicates correction/erratum.");
+    if (isRetractionWatchIndexStale()) {
+      text += ` Last checked ${new Date(rwIndexMeta.checkedAt).toLocaleString()} (${describeCacheAge(rwIndexMeta.checkedAt)}) – may be out of date.`;
     }
-  }
-
-  if (status === "ok" && notes.length === 0) {
-    notes.push("PubMed: no retraction-related publication types.");
-  }
-
-  return { status, notes: notes.join(" "), pmid };
-}
-
-async function getPubMedRetractionInfoForDoi(doi) {
-  try {
-    const pmid = await fetchPubMedIdForDoi(doi);
-    if (!pmid) {
-      return {
-        status: "ok",
-        notes: "PubMed: no record found for this DOI.",
-        pmid: null,
-      };
+    if (isOffline()) {
+      text += " Offline: screening against this index only.";
     }
-    const summary = await fetchPubMedSummaryForPmid(pmid);
-    return determineRetractionStatusFromPubMedSummary(pmid, summary);
-  } catch (err) {
-    console.warn("PubMed error for", doi, err);
-    return { status: "unknown", notes: "PubMed error: " + err.message, pmid: null };
+    const degraded = isRetractionWatchIndexStale() || isOffline();
+    el.textContent = text;
+    el.className = degraded ? "rw-status rw-status--stale" : "rw-status rw-status--ok";
+    if (degraded) el.style.color = "#fbbf24";
+  } else if (rwIndexMeta.error) {
+    el.textContent = `Retraction Watch data: unavailable (${rwIndexMeta.error}). Using Crossref/PubMed/OpenAlex only.`;
+    el.className = "rw-status rw-status--error";
+  } else {
+    el.textContent = "Retraction Watch data: loading…";
+    el.className = "rw-status rw-status--loading";
   }
 }
 
-// ==================== COMBINED STATUS ====================
-
-function pickMoreSevere(a, b) {
-  const sa = STATUS_SCORE[a] ?? 0;
-  const sb = STATUS_SCORE[b] ?? 0;
-  return sa >= sb ? a : b;
-}
-
-async function getCombinedRetractionInfoForDoi(doi, isRetractedOpenAlex) {
-  const [cr, pm, rwHit] = await Promise.all([
-    getCrossrefRetractionInfoForDoi(doi),
-    getPubMedRetractionInfoForDoi(doi),
-    isDoiInRetractionWatch(doi),
-  ]);
-
-  let status = pickMoreSevere(cr.status, pm.status);
-  let notes = [cr.notes, pm.notes].filter(Boolean);
-
-  if (rwHit) {
-    status = pickMoreSevere(status, "retracted");
-    notes.push("Retraction Watch index: DOI present.");
-  }
-
-  if (isRetractedOpenAlex) {
-    status = pickMoreSevere(status, "retracted");
-    notes.push("OpenAlex: is_retracted = true.");
+// e.g. "Snapshot 3f9a1c02de4b89ab, built 2026-10-19 06:12 UTC from upstream
+// commit 1a2b3c4 (updated from 2 delta files: +12/−3 records)."
+function describeRwSnapshot(manifest, update) {
+  let text = `Snapshot ${manifest.version}`;
+  if (manifest.built_at) {
+    text += `, built ${manifest.built_at.slice(0, 16).replace("T", " ")} UTC`;
   }
+  const commit = manifest.upstream && manifest.upstream.commit;
+  if (commit) text += ` from upstream commit ${commit.slice(0, 7)}`;
 
-  if (pm.pmid) notes.push(`PubMed PMID: ${pm.pmid}.`);
-
-  return { status, notes: notes.join(" ") };
-}
-
-// ==================== REFERENCE CLASSIFIERS ====================
-
-function classifyReferenceError(idx, openAlexId, errorMessage) {
-  const shortId = (openAlexId || "").replace("https://openalex.org/", "");
-  return {
-    idx,
-    title: `Reference unavailable in OpenAlex (ID: ${shortId})`,
-    year: "",
-    doi: null,
-    openAlexId,
-    status: "problem_unknown",
-    notes:
-      "Error fetching OpenAlex work for this reference: " +
-      (errorMessage || "unknown error"),
-    citation: "",
-  };
-}
-
-async function classifyReferenceFromWork(idx, work) {
-  const refDoi = work.doi || null;
-  const citation = buildCitationFromOpenAlex(work);
-  const year = work.publication_year || "";
-  const title = work.display_name || "";
-  const openAlexId = work.id || "";
-
-  if (!refDoi) {
-    return {
-      idx,
-      title,
-      year,
-      doi: null,
-      openAlexId,
-      status: "problem_no_doi",
-      notes: "No DOI available; cannot check Crossref/PubMed/Retraction Watch.",
-      citation,
-    };
+  if (update && update.kind === "delta") {
+    text += ` (updated from ${update.deltaFiles} delta file${update.deltaFiles === 1 ? "" : "s"}: +${update.added}/−${update.removed} records)`;
+  } else if (update && update.kind === "full") {
+    text += " (downloaded in full)";
   }
-
-  const retInfo = await getCombinedRetractionInfoForDoi(refDoi, !!work.is_retracted);
-  let status = retInfo.status;
-
-  if (!STATUS_SCORE[status]) status = "ok";
-
-  return {
-    idx,
-    title,
-    year,
-    doi: refDoi,
-    openAlexId,
-    status,
-    notes: retInfo.notes,
-    citation,
-  };
+  return text + ".";
 }
 
 // ==================== PROGRESS BAR (PER-REFERENCE) ====================
@@ -546,14 +291,16 @@ function ensureProgressBarDom() {
   return wrapper;
 }
 
-function initProgress(total) {
+// done: references already checked before a resumed run
+function initProgress(total, done = 0) {
   const wrapper = ensureProgressBarDom();
   if (!wrapper) return;
   totalRefsForProgress = total || 0;
-  processedRefsForProgress = 0;
+  processedRefsForProgress = done;
   const inner = $("progressBarInner");
   if (inner) inner.style.width = "0%";
   wrapper.style.display = totalRefsForProgress > 0 ? "block" : "none";
+  updateProgressBar();
 }
 
 function updateProgressBar() {
@@ -584,82 +331,73 @@ function finishProgress() {
 
 // ==================== MAIN ANALYSIS FLOW ====================
 
-function normalizeDoiInput(raw) {
-  if (!raw) return "";
-  const trimmed = raw.trim();
-
-  if (trimmed.startsWith("http://") || trimmed.startsWith("https://")) {
-    const parts = trimmed.split("doi.org/");
-    if (parts.length > 1) return normalizeDoi(parts[1]);
-  }
-
-  const idx = trimmed.indexOf("10.");
-  if (idx >= 0) return normalizeDoi(trimmed.slice(idx));
-
-  return normalizeDoi(trimmed);
-}
-
-async function analyzeDoi(rawInput) {
-  const doi = normalizeDoiInput(rawInput);
-  lastAnalyzedDoi = doi || rawInput.trim();
-
-  const resultsBody = $("resultsBody");
-  const exportBtn = $("exportCsvBtn");
-  const metaInfo = $("metaInfo");
-  const metaStatusEl = $("metaStatus");
-  const summaryWrapper = $("summaryWrapper");
-
+function resetResultsUi() {
+  currentArticle = null;
+  currentAllRefs = [];
   currentInterestingRefs = [];
   currentCounts = null;
   currentFilter = "all";
 
-  // Reset UI
-  resultsBody.innerHTML = "";
-  summaryWrapper.classList.add("hidden");
-  metaInfo.classList.add("hidden");
+  const metaStatusEl = $("metaStatus");
+  $("resultsBody").innerHTML = "";
+  $("summaryWrapper").classList.add("hidden");
+  $("metaInfo").classList.add("hidden");
   if (metaStatusEl) metaStatusEl.innerHTML = "";
-  exportBtn.disabled = true;
+  $("exportCsvBtn").disabled = true;
+  $("exportBundleBtn").disabled = true;
+  $("watchSaveBtn").disabled = true;
+}
 
-  if (!doi) {
-    setStatus("Please enter a DOI.", true);
-    return;
-  }
+function renderArticleMeta(article) {
+  $("metaYear").textContent = article.year || "–";
+  $("metaDoi").textContent = article.workDoi || "–";
+  $("metaRefCount").textContent = article.refCountText || article.refIds.length;
+  $("metaInfo").classList.remove("hidden");
 
-  setStatus("Resolving DOI via OpenAlex…");
+  const idRow = $("metaIdRow");
+  if (idRow) {
+    idRow.classList.toggle("hidden", !article.identifier);
+    if (article.identifier) $("metaId").textContent = describeWorkIdentifier(article.identifier);
+  }
 
-  // 1) Main article
-  const work = await fetchOpenAlexWorkByDoi(doi);
-  const rawTitle = work.display_name || "(no title)";
-  const year = work.publication_year || "";
-  const workDoi = work.doi || doi;
-  const refIds = work.referenced_works || [];
-
-  $("metaYear").textContent = year || "–";
-  $("metaDoi").textContent = workDoi || "–";
-  $("metaRefCount").textContent = refIds.length;
-  metaInfo.classList.remove("hidden");
-
-  // Combined retraction status for main article
-  setStatus("Checking retraction status of the main article…");
-  const mainInfo = await getCombinedRetractionInfoForDoi(
-    workDoi,
-    !!work.is_retracted
-  );
+  const coverageRow = $("metaCoverageRow");
+  if (coverageRow) {
+    coverageRow.classList.toggle("hidden", !article.coverage);
+    if (article.coverage) {
+      $("metaCoverage").textContent = describeReferenceCoverage(article.coverage);
+    }
+  }
 
-  const isClearlyRetracted =
-    mainInfo.status === "retracted" ||
-    mainInfo.status === "expression_of_concern" ||
-    mainInfo.status === "withdrawn";
+  const secondOrderRow = $("metaSecondOrderRow");
+  if (secondOrderRow) {
+    const so = article.secondOrder;
+    secondOrderRow.classList.toggle("hidden", !so);
+    if (so) {
+      $("metaSecondOrder").textContent = so.capped
+        ? `${so.lookups} of ${so.uniqueTotal} additional cited works checked (lookup cap reached)`
+        : `${so.lookups} additional cited works checked`;
+    }
+  }
 
   const metaTitleSpan = $("metaTitle");
+  const metaStatusEl = $("metaStatus");
+  const mainInfo = article.mainInfo;
+
+  if (!mainInfo) {
+    metaTitleSpan.textContent = article.title;
+    return;
+  }
+
+  const isClearlyRetracted = isRetractedLikeStatus(mainInfo.status);
+
   if (isClearlyRetracted) {
     const chipHtml = statusTag("RETRACTED", "status-tag--retracted");
-    metaTitleSpan.innerHTML = chipHtml + " " + escapeHtml(rawTitle);
+    metaTitleSpan.innerHTML = chipHtml + " " + escapeHtml(article.title);
   } else if (mainInfo.status === "corrected") {
     const chipHtml = statusTag("CORRECTED / ERRATUM", "status-tag--clean");
-    metaTitleSpan.innerHTML = chipHtml + " " + escapeHtml(rawTitle);
+    metaTitleSpan.innerHTML = chipHtml + " " + escapeHtml(article.title);
   } else {
-    metaTitleSpan.textContent = rawTitle;
+    metaTitleSpan.textContent = article.title;
   }
 
   if (metaStatusEl) {
@@ -669,217 +407,1569 @@ async function analyzeDoi(rawInput) {
     } else if (mainInfo.status === "corrected") {
       metaStatusEl.textContent =
         "This article has a correction / erratum but is not flagged as fully retracted.";
+    } else if (mainInfo.status === "problem_no_doi") {
+      metaStatusEl.textContent =
+        "This work has no DOI, so only OpenAlex's retraction flag could be checked (not flagged).";
     } else {
       metaStatusEl.textContent =
         "This article is not flagged as retracted in Crossref/PubMed/Retraction Watch/OpenAlex.";
     }
   }
+}
 
-  if (!refIds.length) {
-    setStatus("OpenAlex: this work lists 0 referenced works.");
-    return;
-  }
+// Loads a finished article into the results table, summary pills and CSV export.
+function showArticleResult(article) {
+  lastAnalyzedDoi = article.doi;
+  renderArticleMeta(article);
 
-  setStatus(
-    `Found ${refIds.length} referenced works. Checking retractions via Crossref/PubMed/Retraction Watch…`
-  );
+  currentArticle = article;
+  currentAllRefs = article.allRefs;
+  currentInterestingRefs = article.interesting;
+  currentCounts = article.counts;
 
-  // 2) References (sequential; reliable, avoids HTTP 400)
-  const allRefs = [];
-  let idxCounter = 0;
+  // Render table + summary + default filter
+  renderRefsTable("all");
+  renderSummaryPills(article.counts);
+  $("summaryWrapper").classList.remove("hidden");
+  $("exportCsvBtn").disabled = refsForExport().length === 0;
+  $("watchSaveBtn").disabled = article.kind === "bibliography";
+  updatePermalink(currentPermalinkDoi(), "all");
+}
 
-  initProgress(refIds.length);
+// rawInput: what the user typed (DOI, PMID, PMCID, arXiv ID, OpenAlex ID or
+// a title, see detectWorkIdentifier) or an identifier picked from the title
+// candidates. previous: the article of a paused run, to check only its
+// remaining references.
+async function analyzeDoi(rawInput, previous = null) {
+  const id = typeof rawInput === "string" ? detectWorkIdentifier(rawInput) : rawInput;
+  lastAnalyzedDoi = id ? formatWorkIdentifier(id) : "";
 
-  for (const refId of refIds) {
-    idxCounter++;
-    try {
-      const refWork = await fetchOpenAlexWorkById(refId);
-      const refObj = await classifyReferenceFromWork(idxCounter, refWork);
-      allRefs.push(refObj);
-    } catch (err) {
-      console.warn("Error fetching reference", refId, err);
-      allRefs.push(
-        classifyReferenceError(idxCounter, refId, err.message || "fetch error")
-      );
-    }
-    incrementProgress();
+  resetResultsUi();
 
-    if (idxCounter % 10 === 0) {
-      setStatus(
-        `Checked ${idxCounter}/${refIds.length} references… still working.`
-      );
-    }
+  if (!id) {
+    setStatus("Please enter a DOI, PMID, PMCID, arXiv ID, OpenAlex ID or title.", true);
+    return;
+  }
+  if (id.type === "title" && typeof rawInput === "string") {
+    await showTitleCandidates(id.value);
+    return;
   }
 
-  finishProgress();
-
-  // 3) Aggregate counts & select interesting refs
-  const counts = {
-    total: allRefs.length,
-    retracted: 0,
-    expression_of_concern: 0,
-    withdrawn: 0,
-    corrected: 0,
-    problem_no_doi: 0,
-    problem_unknown: 0,
-    ok: 0,
-  };
-
-  allRefs.forEach((r) => {
-    if (counts[r.status] !== undefined) counts[r.status]++;
-    else counts.ok++;
-  });
-
-  const interesting = allRefs.filter(
-    (r) => r.status !== "ok" // only show retracted/problematic
+  updatePermalink(formatWorkIdentifier(id), "all");
+
+  const article = await checkArticle(
+    id,
+    {
+      onStatus: (msg) => setStatus(msg),
+      onArticle: renderArticleMeta,
+      onRefsStart: initProgress,
+      onRefDone: incrementProgress,
+    },
+    previous
   );
-  interesting.sort(compareBySeverity);
-
-  currentInterestingRefs = interesting;
-  currentCounts = counts;
 
-  // 4) Render table + summary + default filter
-  renderRefsTable("all");
-  renderSummaryPills(counts);
-  summaryWrapper.classList.remove("hidden");
-  exportBtn.disabled = currentInterestingRefs.length === 0;
-
-  const totalRetLike =
-    counts.retracted + counts.expression_of_concern + counts.withdrawn;
+  if (!article.refIds.length) {
+    setStatus("Neither OpenAlex nor Crossref lists references for this work.");
+    return;
+  }
 
-  if (totalRetLike > 0) {
-    setStatus(
-      `Finished. Found ${totalRetLike} retracted/EoC/withdrawn references; ${
-        counts.problem_no_doi + counts.problem_unknown
-      } problematic (no DOI / unknown) among ${counts.total} total.`
-    );
-  } else {
+  finishProgress();
+  showArticleResult(article);
+  if (article.stopped) {
+    offerResume(article.stopped, () => analyzeDoi(id, article));
     setStatus(
-      `Finished. No retracted or EoC/withdrawn references detected via Crossref/PubMed/Retraction Watch among ${counts.total} total. ${
-        counts.problem_no_doi + counts.problem_unknown
-      } references are problematic (no DOI / unknown).`
+      describeStoppedRun(article.stopped, "references") + " " + describeCounts(article.counts),
+      article.stopped.reason === "error"
     );
+    return;
   }
+  setStatus("Finished. " + describeCounts(article.counts));
 }
 
-// ==================== RENDERING / FILTERING ====================
+// ==================== TITLE SEARCH ====================
 
-function appendRefRow(ref) {
-  const tbody = $("resultsBody");
-  const tr = document.createElement("tr");
-  tr.dataset.status = ref.status;
+// "PMID 12345", or the title query and the OpenAlex work picked for it
+function describeWorkIdentifier(id) {
+  if (id.type === "title") return `Title search “${id.query}” → OpenAlex ${id.value}`;
+  return `${WORK_ID_LABELS[id.type]} ${id.value}`;
+}
 
-  let linkHtml = "—";
-  if (ref.doi) {
-    const norm = normalizeDoi(ref.doi);
-    linkHtml = `<a href="https://doi.org/${encodeURIComponent(
-      norm
-    )}" target="_blank" rel="noopener noreferrer" class="doi-link">${norm}</a>`;
-  } else if (ref.openAlexId) {
-    const shortId = ref.openAlexId.replace("https://openalex.org/", "");
-    linkHtml = `<a href="${ref.openAlexId}" target="_blank" rel="noopener noreferrer" class="doi-link">OpenAlex ${shortId}</a>`;
+function hideTitleCandidates() {
+  $("titleCandidates").classList.add("hidden");
+  $("titleCandidateList").innerHTML = "";
+}
+
+// Lists the OpenAlex works matching `query`; picking one analyzes it
+async function showTitleCandidates(query) {
+  setStatus(`Searching OpenAlex for works titled “${query}”…`);
+  const works = await searchOpenAlexWorksByTitle(query);
+  if (!works.length) {
+    setStatus(`No OpenAlex work matches “${query}”. Try a DOI, PMID or a longer title.`, true);
+    return;
   }
 
-  const titleText = ref.title || "(no title available)";
-  const citationText = ref.citation || "";
+  const list = $("titleCandidateList");
+  list.innerHTML = "";
+  works.forEach((w) => {
+    const author =
+      w.authorships && w.authorships[0] && w.authorships[0].author
+        ? w.authorships[0].author.display_name
+        : "";
+    const source = w.primary_location && w.primary_location.source;
+    const details = [
+      w.publication_year,
+      author,
+      source && source.display_name,
+      w.doi ? normalizeDoi(w.doi) : "no DOI",
+    ].filter(Boolean);
+
+    const li = document.createElement("li");
+    li.innerHTML = `
+      <span>${escapeHtml(w.display_name || "(no title)")}</span>
+      <span class="candidate-details">${escapeHtml(details.join(" · "))}</span>
+    `;
 
-  tr.innerHTML = `
-    <td>${ref.idx}</td>
-    <td>${mapStatusToTag(ref.status)}</td>
-    <td>${ref.year || "—"}</td>
-    <td>
-      <div style="max-width: 360px; word-break: break-word;">
-        <div>${titleText}</div>
-        ${
-          citationText
-            ? `<div style="margin-top:0.25rem;font-size:0.78rem;color:#9ca3af;">${citationText}</div>`
-            : ""
-        }
-      </div>
-    </td>
-    <td>${linkHtml}</td>
-    <td>
-      <div style="max-width: 320px; word-break: break-word; color:#9ca3af;">
-        ${ref.notes || ""}
-      </div>
-    </td>
-  `;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "candidate-pick-btn";
+    btn.textContent = "Analyze";
+    btn.addEventListener("click", () => {
+      const id = { type: "title", value: openAlexShortId(w.id), query };
+      runExclusive(() => analyzeDoi(id), { pausable: true, recording: requestedRecording() });
+    });
+    li.insertBefore(btn, li.firstChild);
+    list.appendChild(li);
+  });
 
-  tbody.appendChild(tr);
+  $("titleCandidates").classList.remove("hidden");
+  setStatus(`${works.length} OpenAlex works match “${query}”. Pick the one to analyze.`);
 }
 
-function renderRefsTable(filter) {
-  currentFilter = filter || "all";
-  const tbody = $("resultsBody");
-  tbody.innerHTML = "";
-
-  if (!currentInterestingRefs || !currentInterestingRefs.length) {
-    if (filter === "ok") {
-      const okCount =
-        currentCounts && currentCounts.total
-          ? currentCounts.total
-          : 0;
-      const tr = document.createElement("tr");
-      tr.innerHTML = `<td colspan="6" style="padding:0.75rem;color:#9ca3af;">OK references (${okCount}) are not listed individually. This table only lists retracted and problematic references.</td>`;
-      tbody.appendChild(tr);
-      return;
-    }
+// ==================== BATCH MODE ====================
+
+// Verdict key (see articleVerdictKey in core.js) → status chip
+const VERDICT_TAGS = {
+  error: ["ERROR", "status-tag--unknown"],
+  pending: ["PENDING", "status-tag--unknown"],
+  running: ["RUNNING…", "status-tag--unknown"],
+  incomplete: ["INCOMPLETE", "status-tag--unknown"],
+  retracted: ["RETRACTED", "status-tag--retracted"],
+  no_references: ["NO REFERENCES FOUND", "status-tag--unknown"],
+  cites_retracted: ["CITES RETRACTED", "status-tag--retracted"],
+  no_retracted_citations: ["NO RETRACTED CITATIONS FOUND", "status-tag--clean"],
+};
 
-    const tr = document.createElement("tr");
-    tr.innerHTML =
-      '<td colspan="6" style="padding:0.75rem;color:#9ca3af;">No retracted or problematic references detected. All references appear OK according to Crossref/PubMed/Retraction Watch (but manual verification is still recommended).</td>';
-    tbody.appendChild(tr);
-    return;
-  }
+function articleVerdict(entry) {
+  const key = articleVerdictKey(entry);
+  const [label, cls] = VERDICT_TAGS[key] || VERDICT_TAGS.pending;
+  return { key, tag: statusTag(label, cls) };
+}
 
-  if (filter === "ok") {
-    const totalRetLike =
-      currentCounts.retracted +
-      currentCounts.expression_of_concern +
-      currentCounts.withdrawn;
-    const totalProblem =
-      currentCounts.problem_no_doi + currentCounts.problem_unknown;
-    const okCount =
-      currentCounts.total - (totalRetLike + totalProblem);
+function renderBatchTable() {
+  const tbody = $("batchBody");
+  tbody.innerHTML = "";
 
+  batchResults.forEach((entry) => {
+    const article = entry.article;
+    const c = article && article.counts;
     const tr = document.createElement("tr");
-    tr.innerHTML = `<td colspan="6" style="padding:0.75rem;color:#9ca3af;">OK references (${okCount}) are not shown individually. Only retracted and problematic references are listed here.</td>`;
-    tbody.appendChild(tr);
-    return;
-  }
+    tr.dataset.state = entry.state;
+
+    const retLike = c ? c.retracted + c.expression_of_concern + c.withdrawn : "—";
+    const problem = c ? c.problem_no_doi + c.problem_unknown : "—";
+    const titleHtml = article
+      ? escapeHtml(article.title)
+      : entry.error
+      ? `<span style="color:var(--danger);">${escapeHtml(entry.error)}</span>`
+      : "—";
+
+    tr.innerHTML = `
+      <td>${entry.idx}</td>
+      <td>${articleVerdict(entry).tag}</td>
+      <td><a href="https://doi.org/${encodeURIComponent(
+        entry.doi
+      )}" target="_blank" rel="noopener noreferrer" class="doi-link">${escapeHtml(
+      entry.doi
+    )}</a></td>
+      <td><div style="max-width: 360px; word-break: break-word;">${titleHtml}</div></td>
+      <td>${retLike}</td>
+      <td>${problem}</td>
+      <td>${c ? c.total : "—"}</td>
+      <td></td>
+    `;
 
-  const subset = currentInterestingRefs.filter((r) => {
-    if (filter === "all") return true;
-    if (filter === "retracted") {
-      return (
-        r.status === "retracted" ||
-        r.status === "expression_of_concern" ||
-        r.status === "withdrawn"
-      );
-    }
-    if (filter === "problematic") {
-      return (
-        r.status === "problem_no_doi" || r.status === "problem_unknown"
-      );
+    if (article && article.refIds.length) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "batch-view-btn";
+      btn.textContent = "View";
+      btn.addEventListener("click", () => {
+        showArticleResult(article);
+        setStatus(`Showing batch article ${entry.idx}: ${describeCounts(article.counts)}`);
+        $("resultsCard").scrollIntoView({ behavior: "smooth" });
+      });
+      tr.lastElementChild.appendChild(btn);
     }
-    return true;
-  });
 
-  if (!subset.length) {
-    const label =
-      filter === "retracted"
-        ? "No retracted/EoC/withdrawn references found."
-        : "No problematic (no DOI / unknown) references found.";
-    const tr = document.createElement("tr");
-    tr.innerHTML = `<td colspan="6" style="padding:0.75rem;color:#9ca3af;">${label}</td>`;
     tbody.appendChild(tr);
+  });
+
+  $("batchWrapper").classList.toggle("hidden", !batchResults.length);
+  $("exportBatchCsvBtn").disabled = !batchResults.some(
+    (e) => e.state === "done" || e.state === "error"
+  );
+}
+
+async function analyzeBatch(rawText) {
+  const dois = extractDoisFromText(rawText);
+  if (!dois.length) {
+    setStatus("Batch: no DOIs found in the pasted text or file.", true);
     return;
   }
 
-  subset.forEach((ref) => appendRefRow(ref));
+  batchResults = dois.map((doi, i) => ({
+    idx: i + 1,
+    doi,
+    state: "pending",
+    article: null,
+    error: null,
+  }));
+  renderBatchTable();
+  await runBatch();
 }
 
-function setActivePill(activePill) {
+// Screens every batch entry that is still pending or was stopped part-way,
+// so a resumed batch carries on where it left off.
+async function runBatch() {
+  for (const entry of batchResults) {
+    if (isRunStopped()) break;
+    if (entry.state !== "pending" && !(entry.article && entry.article.stopped)) continue;
+
+    const prefix = `Batch ${entry.idx}/${batchResults.length} (${entry.doi}): `;
+    entry.state = "running";
+    renderBatchTable();
+
+    try {
+      entry.article = await checkArticle(
+        entry.doi,
+        {
+          onStatus: (msg) => setStatus(prefix + msg),
+          onRefsStart: initProgress,
+          onRefDone: incrementProgress,
+        },
+        entry.article
+      );
+      entry.state = "done";
+    } catch (err) {
+      if (isRunStopped()) {
+        // Stopped before any reference was checked: start it afresh
+        entry.state = "pending";
+      } else {
+        // One failing article must not abort the rest of the batch
+        console.warn("Batch: error analyzing", entry.doi, err);
+        entry.error = err.message || String(err);
+        entry.state = "error";
+      }
+    }
+
+    finishProgress();
+    renderBatchTable();
+  }
+
+  const failed = batchResults.filter((e) => e.error).length;
+  const flagged = batchResults.filter((e) => {
+    const key = articleVerdict(e).key;
+    return key === "retracted" || key === "cites_retracted";
+  }).length;
+  const unfinished = batchResults.filter(
+    (e) => e.state === "pending" || (e.article && e.article.stopped)
+  ).length;
+  const summary = `${flagged} retracted or citing retracted work; ${failed} failed.`;
+
+  if (!unfinished) {
+    setStatus(`Batch finished. ${batchResults.length} articles screened; ${summary}`);
+    return;
+  }
+  const stopped = {
+    reason: isRunStopped() ? runStopReason() : "error",
+    message: "some articles were not fully checked",
+    checked: batchResults.length - unfinished,
+    total: batchResults.length,
+  };
+  offerResume(stopped, runBatch);
+  setStatus(`Batch: ${describeStoppedRun(stopped, "articles")} So far ${summary}`);
+}
+
+// ==================== BIBLIOGRAPHY INPUT ====================
+
+// Screens a reference list that is not (yet) in OpenAlex: a manuscript's
+// bibliography as BibTeX, RIS, CSL-JSON or plain text. Each entry becomes a
+// { idx, title, year, authors, venue, doi, pmid, raw } record.
+
+function detectBibliographyFormat(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return "empty";
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      JSON.parse(trimmed);
+      return "csl-json";
+    } catch (err) {
+      // not JSON; fall through
+    }
+  }
+  if (/^\s*@\w+\s*[{(]/m.test(trimmed)) return "bibtex";
+  if (/^TY {2}- /m.test(trimmed)) return "ris";
+  return "plain";
+}
+
+function parseBibliography(text) {
+  const format = detectBibliographyFormat(text);
+  let entries = [];
+  if (format === "csl-json") entries = parseCslJson(text);
+  else if (format === "bibtex") entries = parseBibtex(text);
+  else if (format === "ris") entries = parseRis(text);
+  else if (format === "plain") entries = parsePlainReferences(text);
+
+  entries.forEach((e, i) => {
+    e.idx = i + 1;
+  });
+  return { format, entries };
+}
+
+function makeBibEntry(fields) {
+  const doi = fields.doi ? extractDoisFromText(fields.doi)[0] || "" : "";
+  const yearMatch = String(fields.year || "").match(/\b(1[5-9]|20)\d{2}\b/);
+  const pmidMatch = String(fields.pmid || "").match(/\d{1,9}/);
+  return {
+    idx: 0,
+    title: cleanBibValue(fields.title || ""),
+    year: yearMatch ? Number(yearMatch[0]) : "",
+    authors: (fields.authors || []).map(cleanBibValue).filter(Boolean),
+    venue: cleanBibValue(fields.venue || ""),
+    doi: doi || null,
+    pmid: pmidMatch ? pmidMatch[0] : null,
+    raw: fields.raw || "",
+  };
+}
+
+function cleanBibValue(value) {
+  return String(value || "")
+    .replace(/[{}]/g, "")
+    .replace(/\\\s*/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// --- CSL-JSON (Zotero, Mendeley, citation.js exports) ---
+
+function parseCslJson(text) {
+  let data = JSON.parse(text);
+  if (!Array.isArray(data)) data = data && typeof data === "object" ? data.items || [data] : [];
+
+  // Skip null, string or nested-array items instead of failing the import
+  const items = data.filter((item) => item && typeof item === "object" && !Array.isArray(item));
+  return items.map((item) => {
+    const issued = item.issued || {};
+    const dateParts = issued["date-parts"] || [];
+    const year =
+      (dateParts[0] && dateParts[0][0]) || issued.literal || issued.raw || "";
+    const authors = (item.author || []).map((a) =>
+      a.literal || [a.family, a.given].filter(Boolean).join(", ")
+    );
+    return makeBibEntry({
+      title: item.title,
+      year,
+      authors,
+      venue: item["container-title"],
+      doi: item.DOI || item.doi || item.URL,
+      pmid: item.PMID || item.pmid,
+      raw: item.title || "",
+    });
+  });
+}
+
+// --- BibTeX ---
+
+function parseBibtex(text) {
+  const entries = [];
+  const re = /@(\w+)\s*[{(]/g;
+  let m;
+
+  while ((m = re.exec(text))) {
+    const type = m[1].toLowerCase();
+    const open = m[0].slice(-1);
+    const close = open === "{" ? "}" : ")";
+    // Find the matching closing delimiter of this entry
+    let depth = 1;
+    let i = re.lastIndex;
+    for (; i < text.length && depth > 0; i++) {
+      const ch = text[i];
+      if (ch === open) depth++;
+      else if (ch === close) depth--;
+    }
+    const body = text.slice(re.lastIndex, i - 1);
+    re.lastIndex = i;
+
+    if (type === "comment" || type === "preamble" || type === "string") continue;
+
+    const fields = parseBibtexFields(body);
+    entries.push(
+      makeBibEntry({
+        title: fields.title,
+        year: fields.year || fields.date,
+        authors: (fields.author || "").split(/\s+and\s+/i),
+        venue: fields.journal || fields.booktitle,
+        doi: fields.doi || fields.url,
+        pmid: fields.pmid,
+        raw: "@" + type + "{" + body.trim() + "}",
+      })
+    );
+  }
+  return entries;
+}
+
+function parseBibtexFields(body) {
+  const fields = {};
+  // Skip the citation key
+  let i = body.indexOf(",");
+  if (i < 0) return fields;
+  i++;
+
+  while (i < body.length) {
+    const nameMatch = /^\s*([\w-]+)\s*=\s*/.exec(body.slice(i));
+    if (!nameMatch) break;
+    const name = nameMatch[1].toLowerCase();
+    i += nameMatch[0].length;
+
+    let value = "";
+    const open = body[i];
+    if (open === "{" || open === '"') {
+      const close = open === "{" ? "}" : '"';
+      let depth = 1;
+      let j = i + 1;
+      for (; j < body.length; j++) {
+        const ch = body[j];
+        if (open === "{" && ch === "{") depth++;
+        else if (ch === close && body[j - 1] !== "\\") {
+          depth--;
+          if (depth === 0) break;
+        }
+      }
+      value = body.slice(i + 1, j);
+      i = j + 1;
+    } else {
+      const end = body.indexOf(",", i);
+      value = body.slice(i, end < 0 ? body.length : end);
+      i = end < 0 ? body.length : end;
+    }
+
+    fields[name] = value.trim();
+    const comma = body.indexOf(",", i);
+    if (comma < 0) break;
+    i = comma + 1;
+  }
+  return fields;
+}
+
+// --- RIS ---
+
+function parseRis(text) {
+  const entries = [];
+  let cur = null;
+
+  String(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const m = /^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/.exec(line);
+      if (!m) return;
+      const tag = m[1];
+      const value = (m[2] || "").trim();
+
+      if (tag === "TY") {
+        cur = { authors: [], raw: [] };
+      }
+      if (!cur) return;
+      cur.raw.push(line);
+
+      switch (tag) {
+        case "TI":
+        case "T1":
+          cur.title = cur.title || value;
+          break;
+        case "PY":
+        case "Y1":
+        case "DA":
+          cur.year = cur.year || value;
+          break;
+        case "AU":
+        case "A1":
+          cur.authors.push(value);
+          break;
+        case "JO":
+        case "JF":
+        case "T2":
+          cur.venue = cur.venue || value;
+          break;
+        case "DO":
+          cur.doi = cur.doi || value;
+          break;
+        case "UR":
+          if (!cur.doi && /10\.\d{4,9}\//.test(value)) cur.doi = value;
+          break;
+        case "AN":
+          // PubMed exports put the PMID here
+          if (/^\d{1,9}$/.test(value)) cur.pmid = value;
+          break;
+        case "ER":
+          entries.push(makeBibEntry({ ...cur, raw: cur.raw.join("\n") }));
+          cur = null;
+          break;
+        default:
+          break;
+      }
+    });
+
+  if (cur) entries.push(makeBibEntry({ ...cur, raw: cur.raw.join("\n") }));
+  return entries;
+}
+
+// --- Plain-text reference list ---
+
+// Title of a free-text citation: a quoted title, the sentence after the year
+// (APA "(2020). Title." or Harvard "2020. Title."), or the sentence after a
+// Vancouver author list ("Smith J, Doe AB. Title. Journal. 2020;…"). ""
+// when none is found; the lookup then goes by the whole citation.
+function extractCitationTitle(citation) {
+  // Up to the first full stop followed by a capital or a digit
+  const sentence = (text) => {
+    const title = text.split(/[.?!](?:\s+(?=[\p{Lu}\d])|\s*$)/u)[0].trim();
+    return title.split(/\s+/).length >= 3 ? title : "";
+  };
+
+  const quoted = citation.match(/[“"]([^”"]+?)[.,]?[”"]/);
+  if (quoted && quoted[1].split(/\s+/).length >= 3) return quoted[1].trim();
+
+  const afterYear = citation.match(/\(?\b(?:1[5-9]|20)\d{2}[a-z]?\)?\.\s+(.+)$/);
+  if (afterYear) {
+    const title = sentence(afterYear[1]);
+    if (title) return title;
+  }
+
+  const firstStop = citation.indexOf(". ");
+  const authors = firstStop > 0 ? citation.slice(0, firstStop) : "";
+  const name = "[\\p{Lu}][\\p{L}'’-]*(?:\\s[\\p{Lu}][\\p{L}'’-]+)*\\s[\\p{Lu}]{1,3}";
+  const vancouver = new RegExp(`^${name}(?:,\\s*${name})*(?:,?\\s*et al)?$`, "u");
+  if (vancouver.test(authors)) return sentence(citation.slice(firstStop + 2));
+  return "";
+}
+
+// One reference per paragraph when the list uses blank lines between
+// entries, otherwise one per line. Leading numbering ("1.", "[12]") is dropped.
+function parsePlainReferences(text) {
+  const normalized = String(text).replace(/\r\n?/g, "\n").trim();
+  const chunks = /\n\s*\n/.test(normalized)
+    ? normalized.split(/\n\s*\n/)
+    : normalized.split("\n");
+
+  return chunks
+    .map((c) => c.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const raw = line.replace(/^\s*(\[\d+\]|\d+[.)])\s*/, "");
+      const pmid = (raw.match(/\bPMID:?\s*(\d{1,9})\b/i) || [])[1];
+      return makeBibEntry({
+        title: extractCitationTitle(raw),
+        year: (raw.match(/\b(1[5-9]|20)\d{2}\b/) || [""])[0],
+        doi: raw,
+        pmid,
+        raw,
+      });
+    });
+}
+
+// Builds an OpenAlex-shaped work from a bibliography entry, so it can go
+// through classifyReferenceFromWork when OpenAlex does not know it.
+function bibEntryToWork(entry) {
+  return {
+    id: "",
+    doi: entry.doi ? "https://doi.org/" + entry.doi : null,
+    display_name: entry.title || entry.raw,
+    publication_year: entry.year || "",
+    is_retracted: false,
+    host_venue: entry.venue ? { display_name: entry.venue } : null,
+    authorships: entry.authors.map((name) => ({
+      author: { display_name: name },
+    })),
+    ids: entry.pmid ? { pmid: entry.pmid } : {},
+  };
+}
+
+async function resolveBibEntryWork(entry) {
+  try {
+    if (entry.doi) return await fetchOpenAlexWorkByDoi(entry.doi);
+    if (entry.pmid) return await fetchOpenAlexWorkByPmid(entry.pmid);
+  } catch (err) {
+    console.warn("OpenAlex lookup failed for bibliography entry", entry.idx, err);
+  }
+  return null;
+}
+
+// Same shape as checkArticle() returns, so showArticleResult() can render it.
+// Like checkArticle(), a stopped run resolves with article.stopped set and
+// can be resumed by passing that article back as `previous`.
+async function checkBibliography(text, sourceLabel, hooks = {}, previous = null) {
+  const onStatus = hooks.onStatus || (() => {});
+
+  let article = previous;
+  if (!article) {
+    const { format, entries } = parseBibliography(text);
+    const withIds = entries.filter((e) => e.doi || e.pmid).length;
+
+    article = {
+      kind: "bibliography",
+      doi: "bibliography",
+      title: `${sourceLabel} (${format}, ${entries.length} entries)`,
+      year: "",
+      workDoi: "",
+      // A manuscript is "citing" its references today
+      citingDate: new Date().toISOString().slice(0, 10),
+      refIds: entries,
+      refCountText: `${withIds} of ${entries.length} entries (DOI or PMID)`,
+      mainInfo: null,
+      allRefs: [],
+      counts: summarizeRefs([]).counts,
+      interesting: [],
+      format,
+      refResults: [],
+      worksByIdx: [],
+      stopped: null,
+    };
+  }
+
+  const entries = article.refIds;
+  if (!entries.length) return article;
+
+  const withIds = entries.filter((e) => e.doi || e.pmid).length;
+  onStatus(
+    `Parsed ${entries.length} ${article.format} entries (${withIds} with DOI/PMID). ` +
+      (isOffline()
+        ? "Offline: checking against the cached Retraction Watch index only…"
+        : "Checking retractions via Crossref/PubMed/Retraction Watch…")
+  );
+
+  const worksByIdx = article.worksByIdx;
+  article.stopped = await checkRemainingRefs(
+    entries,
+    article.refResults,
+    async (entry, i) => {
+      let refObj;
+      try {
+        const resolved = await resolveBibEntryWork(entry);
+        worksByIdx[i] = resolved;
+        const work = resolved || bibEntryToWork(entry);
+        refObj = await classifyReferenceFromWork(entry.idx, work);
+        if (!resolved && entry.pmid && !entry.doi) {
+          refObj.notes += ` PMID ${entry.pmid} not found in OpenAlex.`;
+        }
+        if (!refObj.citation) refObj.citation = entry.raw;
+      } catch (err) {
+        console.warn("Error checking bibliography entry", entry.idx, err);
+        refObj = classifyReferenceError(entry.idx, "", err.message);
+        refObj.title = entry.title || entry.raw;
+        refObj.notes = "Error checking this entry: " + (err.message || "unknown error");
+      }
+      return refObj;
+    },
+    hooks,
+    "entries"
+  );
+  const allRefs = article.refResults.filter(Boolean);
+
+  if (secondOrderOptions && !article.stopped) {
+    article.secondOrder = await screenSecondOrder(
+      {},
+      allRefs,
+      worksByIdx,
+      secondOrderOptions.maxLookups,
+      hooks
+    );
+    if (!article.secondOrder) {
+      article.stopped = {
+        reason: runStopReason(),
+        message: "",
+        checked: allRefs.length,
+        total: entries.length,
+      };
+    }
+  }
+
+  const summary = summarizeRefs(allRefs, article.citingDate);
+  article.allRefs = allRefs;
+  article.counts = summary.counts;
+  article.interesting = summary.interesting;
+  return article;
+}
+
+async function analyzeBibliography(text, sourceLabel, previous = null) {
+  resetResultsUi();
+  updatePermalink("", "all");
+  lastAnalyzedDoi = "bibliography";
+
+  const article = await checkBibliography(
+    text,
+    sourceLabel,
+    {
+      onStatus: (msg) => setStatus(msg),
+      onRefsStart: initProgress,
+      onRefDone: incrementProgress,
+    },
+    previous
+  );
+
+  if (!article.refIds.length) {
+    setStatus(
+      "Bibliography: no entries recognised (expected BibTeX, RIS, CSL-JSON or one reference per line).",
+      true
+    );
+    return;
+  }
+
+  finishProgress();
+  showArticleResult(article);
+  if (article.stopped) {
+    offerResume(article.stopped, () => analyzeBibliography(text, sourceLabel, article));
+    setStatus(
+      describeStoppedRun(article.stopped, "entries") + " " + describeCounts(article.counts),
+      article.stopped.reason === "error"
+    );
+    return;
+  }
+  setStatus("Finished. " + describeCounts(article.counts));
+}
+
+// ==================== SETTINGS ====================
+
+// Saved in localStorage as { pubMedApiKey, contactEmail, disabledSources }
+// (see applySettings in core.js). Read once on load; saving applies them
+// from the next run on.
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}");
+    applySettings(saved && typeof saved === "object" ? saved : {});
+  } catch (err) {
+    console.warn("Settings could not be read:", err);
+    applySettings({});
+  }
+}
+
+function setSettingsNote(message, isError = false) {
+  const el = $("settingsNote");
+  el.textContent = message;
+  el.classList.toggle("error", isError);
+}
+
+// One checkbox per source (EVIDENCE_SOURCES), then the current values
+function renderSettingsForm() {
+  const s = getSettings();
+  const box = $("settingsSources");
+  box.innerHTML = "";
+  Object.entries(EVIDENCE_SOURCES).forEach(([key, label]) => {
+    const wrap = document.createElement("label");
+    wrap.className = "run-option";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.id = "settingsSource_" + key;
+    input.checked = !s.disabledSources.includes(key);
+    wrap.appendChild(input);
+    wrap.appendChild(document.createTextNode(" " + label));
+    box.appendChild(wrap);
+  });
+  $("settingsPubMedKey").value = s.pubMedApiKey;
+  $("settingsEmail").value = s.contactEmail;
+}
+
+function saveSettingsFromForm() {
+  if (analyzeBusy) {
+    setSettingsNote("Settings can be changed once the current run is over.", true);
+    return;
+  }
+  const keys = Object.keys(EVIDENCE_SOURCES);
+  const disabledSources = keys.filter((key) => !$("settingsSource_" + key).checked);
+  if (disabledSources.length === keys.length) {
+    setSettingsNote("Keep at least one source turned on.", true);
+    return;
+  }
+  const contactEmail = $("settingsEmail").value.trim();
+  if (contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+    setSettingsNote("The contact email does not look like an email address.", true);
+    return;
+  }
+
+  applySettings({
+    pubMedApiKey: $("settingsPubMedKey").value,
+    contactEmail,
+    disabledSources,
+  });
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(getSettings()));
+  renderSettingsForm();
+  setSettingsNote("Saved in this browser. Used from the next run on.");
+}
+
+// ==================== WATCHLIST ====================
+
+// Saved in localStorage as an array of
+// { doi, title, addedAt, lastRunAt, snapshot: { counts, refs }, lastDiff, error }
+// where snapshot.refs are the flagged references of the last screening and
+// lastDiff lists the references whose status escalated since the snapshot
+// before it.
+
+// Statuses reported in the watchlist diff
+const WATCHLIST_DIFF_STATUSES = [
+  "retracted",
+  "expression_of_concern",
+  "withdrawn",
+  "corrected",
+];
+
+function loadWatchlist() {
+  try {
+    const list = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    console.warn("Watchlist could not be read:", err);
+    return [];
+  }
+}
+
+function saveWatchlist(list) {
+  localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(list));
+}
+
+function snapshotRefKey(ref) {
+  if (ref.doi) return "doi:" + normalizeDoi(ref.doi);
+  if (ref.openAlexId) return "openalex:" + openAlexShortId(ref.openAlexId);
+  return "idx:" + ref.idx;
+}
+
+function makeSnapshot(article) {
+  return {
+    counts: article.counts,
+    refs: article.interesting.map((r) => ({
+      idx: r.idx,
+      title: r.title,
+      doi: r.doi,
+      openAlexId: r.openAlexId,
+      status: r.status,
+      retractionDate: r.retractionDate || "",
+    })),
+  };
+}
+
+// References that newly became retracted/EoC/withdrawn/corrected, or moved
+// to a more severe one of those, between two snapshots.
+function diffSnapshots(prev, next) {
+  const before = new Map((prev ? prev.refs : []).map((r) => [snapshotRefKey(r), r]));
+  const changes = [];
+
+  next.refs.forEach((r) => {
+    if (!WATCHLIST_DIFF_STATUSES.includes(r.status)) return;
+    const old = before.get(snapshotRefKey(r));
+    const oldStatus = old ? old.status : "ok";
+    if ((STATUS_SCORE[r.status] ?? 0) <= (STATUS_SCORE[oldStatus] ?? 0)) return;
+    changes.push({ ref: r, from: oldStatus, to: r.status });
+  });
+  return changes;
+}
+
+function addArticleToWatchlist(article) {
+  const list = loadWatchlist();
+  const doi = normalizeDoi(article.doi);
+  const now = new Date().toISOString();
+  const existing = list.find((e) => e.doi === doi);
+
+  if (existing) {
+    existing.title = article.title;
+    existing.lastRunAt = now;
+    existing.snapshot = makeSnapshot(article);
+    existing.error = null;
+  } else {
+    list.push({
+      doi,
+      title: article.title,
+      addedAt: now,
+      lastRunAt: now,
+      snapshot: makeSnapshot(article),
+      lastDiff: [],
+      error: null,
+    });
+  }
+  saveWatchlist(list);
+  renderWatchlist();
+}
+
+function removeFromWatchlist(doi) {
+  saveWatchlist(loadWatchlist().filter((e) => e.doi !== doi));
+  renderWatchlist();
+}
+
+function renderWatchlist() {
+  const list = loadWatchlist();
+  const tbody = $("watchBody");
+  tbody.innerHTML = "";
+
+  if (!list.length) {
+    const tr = document.createElement("tr");
+    tr.innerHTML =
+      '<td colspan="6" style="padding:0.75rem;color:#9ca3af;">The watchlist is empty. Analyze a DOI and click “Save to watchlist”.</td>';
+    tbody.appendChild(tr);
+  }
+
+  list.forEach((entry) => {
+    const c = entry.snapshot && entry.snapshot.counts;
+    const flagged = c ? c.retracted + c.expression_of_concern + c.withdrawn : "—";
+    const changes = entry.error
+      ? `<span style="color:var(--danger);">${escapeHtml(entry.error)}</span>`
+      : entry.lastDiff && entry.lastDiff.length
+      ? statusTag(`${entry.lastDiff.length} NEW`, "status-tag--retracted")
+      : "—";
+
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><a href="https://doi.org/${encodeURIComponent(
+        entry.doi
+      )}" target="_blank" rel="noopener noreferrer" class="doi-link">${escapeHtml(
+      entry.doi
+    )}</a></td>
+      <td><div style="max-width: 320px; word-break: break-word;">${escapeHtml(
+        entry.title || ""
+      )}</div></td>
+      <td>${escapeHtml((entry.lastRunAt || "").slice(0, 10))}</td>
+      <td>${flagged}</td>
+      <td>${changes}</td>
+      <td></td>
+    `;
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "batch-view-btn";
+    btn.textContent = "Remove";
+    btn.addEventListener("click", () => removeFromWatchlist(entry.doi));
+    tr.lastElementChild.appendChild(btn);
+
+    tbody.appendChild(tr);
+  });
+
+  renderWatchlistDiff(list);
+}
+
+function renderWatchlistDiff(list) {
+  const rows = [];
+  list.forEach((entry) => {
+    (entry.lastDiff || []).forEach((change) => rows.push({ entry, change }));
+  });
+
+  const tbody = $("watchDiffBody");
+  tbody.innerHTML = "";
+  rows.forEach(({ entry, change }) => {
+    const r = change.ref;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="doi-link">${escapeHtml(entry.doi)}</td>
+      <td>${r.idx}</td>
+      <td><div style="max-width: 320px; word-break: break-word;">${escapeHtml(
+        r.title || ""
+      )}</div><div class="doi-link">${escapeHtml(
+      r.doi ? normalizeDoi(r.doi) : r.openAlexId || ""
+    )}</div></td>
+      <td>${mapStatusToTag(change.from)}</td>
+      <td>${mapStatusToTag(change.to)}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+
+  $("watchDiffWrapper").classList.toggle("hidden", !rows.length);
+  $("exportDiffCsvBtn").disabled = !rows.length;
+}
+
+// from, previous, tally: where a stopped run resumes (the entry, its partial
+// article and the counts so far)
+async function rescreenWatchlist(from = 0, previous = null, tally = { newChanges: 0, failed: 0 }) {
+  const list = loadWatchlist();
+  if (!list.length) {
+    setStatus("The watchlist is empty.", true);
+    return;
+  }
+
+  for (let i = from; i < list.length; i++) {
+    const entry = list[i];
+    const prefix = `Watchlist ${i + 1}/${list.length} (${entry.doi}): `;
+    try {
+      const article = await checkArticle(
+        entry.doi,
+        {
+          onStatus: (msg) => setStatus(prefix + msg),
+          onRefsStart: initProgress,
+          onRefDone: incrementProgress,
+        },
+        i === from ? previous : null
+      );
+      // A partial screening would report the unchecked references as gone:
+      // the entry keeps its snapshot until the article is fully checked
+      if (article.stopped) {
+        finishProgress();
+        offerResume(article.stopped, () => rescreenWatchlist(i, article, tally));
+        setStatus(
+          prefix + describeStoppedRun(article.stopped, "references"),
+          article.stopped.reason === "error"
+        );
+        return;
+      }
+      const snapshot = makeSnapshot(article);
+      entry.lastDiff = diffSnapshots(entry.snapshot, snapshot);
+      entry.snapshot = snapshot;
+      entry.title = article.title;
+      entry.lastRunAt = new Date().toISOString();
+      entry.error = null;
+      tally.newChanges += entry.lastDiff.length;
+    } catch (err) {
+      if (isRunStopped()) {
+        // Stopped before any reference of this article was checked
+        const stopped = { reason: runStopReason(), checked: i, total: list.length };
+        finishProgress();
+        offerResume(stopped, () => rescreenWatchlist(i, null, tally));
+        setStatus("Watchlist: " + describeStoppedRun(stopped, "articles"));
+        return;
+      }
+      // Keep the previous snapshot so the next run still diffs against it
+      console.warn("Watchlist: error re-screening", entry.doi, err);
+      entry.error = err.message || String(err);
+      tally.failed++;
+    }
+    finishProgress();
+    saveWatchlist(list);
+    renderWatchlist();
+  }
+
+  finishProgress();
+  setStatus(
+    `Watchlist re-screened: ${list.length} articles, ${tally.newChanges} references newly retracted/EoC/withdrawn/corrected since the last snapshot; ${tally.failed} failed.`
+  );
+}
+
+function exportWatchlistDiffToCsv() {
+  const header = [
+    "source_doi",
+    "source_title",
+    "screened_at",
+    "index",
+    "title",
+    "doi_or_openalex",
+    "previous_status",
+    "new_status",
+    "retraction_date",
+  ];
+  const rows = [header];
+
+  loadWatchlist().forEach((entry) => {
+    (entry.lastDiff || []).forEach((change) => {
+      const r = change.ref;
+      rows.push([
+        entry.doi,
+        entry.title || "",
+        entry.lastRunAt || "",
+        String(r.idx ?? ""),
+        r.title || "",
+        r.doi ? normalizeDoi(r.doi) : r.openAlexId || "",
+        change.from,
+        change.to,
+        r.retractionDate || "",
+      ]);
+    });
+  });
+
+  downloadCsv(rowsToCsv(rows), "watchlist-changes");
+}
+
+// ==================== FORWARD MODE (WHO CITES THIS) ====================
+
+// Pages through `filter=cites:W…` with an OpenAlex cursor. Returns the works
+// and whether CITED_BY_MAX_WORKS cut the list short.
+async function fetchOpenAlexCitingWorks(openAlexId, onPage = () => {}) {
+  const works = [];
+  let cursor = "*";
+  let total = 0;
+
+  while (cursor && works.length < CITED_BY_MAX_WORKS) {
+    let url =
+      "https://api.openalex.org/works?filter=cites:" +
+      encodeURIComponent(openAlexShortId(openAlexId)) +
+      "&select=id,doi,display_name,publication_year,publication_date,type,primary_location" +
+      "&per-page=" +
+      CITED_BY_PAGE_SIZE +
+      "&cursor=" +
+      encodeURIComponent(cursor);
+    url += mailtoParam("&");
+
+    const res = await rateLimitedFetch(url);
+    if (!res.ok) throw new Error("OpenAlex cited-by HTTP " + res.status);
+    const json = await res.json();
+    const results = json.results || [];
+    works.push(...results);
+    total = (json.meta && json.meta.count) || works.length;
+    onPage(works.length, total);
+
+    cursor = results.length && json.meta ? json.meta.next_cursor : null;
+  }
+
+  return {
+    works: works.slice(0, CITED_BY_MAX_WORKS),
+    truncated: total > CITED_BY_MAX_WORKS,
+  };
+}
+
+// OpenAlex types reviews as "review"; systematic reviews and meta-analyses
+// are also recognised by title, since many are typed as plain articles.
+function isReviewWork(work) {
+  return (
+    work.type === "review" ||
+    /systematic review|meta-analy|scoping review|umbrella review/i.test(
+      work.display_name || ""
+    )
+  );
+}
+
+// "after_retraction" when the citing work was published after the cited
+// work's retraction date, "before_retraction" when before, "same_period" when
+// compareIsoDates() cannot order them, "" when unknown.
+function citedByTiming(retractionDate, citingDate) {
+  if (!retractionDate || !citingDate) return "";
+  const order = compareIsoDates(retractionDate, citingDate);
+  return order < 0 ? "after_retraction" : order > 0 ? "before_retraction" : "same_period";
+}
+
+async function checkCitedBy(doi, hooks = {}) {
+  const onStatus = hooks.onStatus || (() => {});
+
+  onStatus("Resolving DOI via OpenAlex…");
+  const work = await fetchOpenAlexWorkByDoi(doi);
+
+  onStatus("Checking retraction status via Crossref/PubMed/Retraction Watch…");
+  const mainInfo = await getCombinedRetractionInfoForDoi(
+    work.doi || doi,
+    openAlexRetractedFlag(work)
+  );
+
+  onStatus(`Fetching works that cite this article (${work.cited_by_count || 0} in OpenAlex)…`);
+  const { works, truncated } = await fetchOpenAlexCitingWorks(work.id, (got, total) =>
+    onStatus(`Fetched ${got}/${total} citing works from OpenAlex…`)
+  );
+
+  const citing = works.map((w, i) => {
+    const date = w.publication_date || String(w.publication_year || "");
+    const source = w.primary_location && w.primary_location.source;
+    return {
+      idx: i + 1,
+      openAlexId: w.id || "",
+      doi: w.doi ? normalizeDoi(w.doi) : "",
+      title: w.display_name || "(no title)",
+      year: w.publication_year || "",
+      date,
+      type: w.type || "",
+      venue: (source && source.display_name) || "",
+      isReview: isReviewWork(w),
+      timing: citedByTiming(mainInfo.retractionDate, date),
+    };
+  });
+  citing.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  citing.forEach((c, i) => (c.idx = i + 1));
+
+  return {
+    doi,
+    title: work.display_name || "(no title)",
+    workDoi: work.doi || doi,
+    mainInfo,
+    citedByCount: work.cited_by_count || 0,
+    citing,
+    truncated,
+    settings: describeSettings(),
+  };
+}
+
+function renderCitedBy() {
+  const tbody = $("citedByBody");
+  tbody.innerHTML = "";
+  const result = citedByResult;
+
+  $("citedByWrapper").classList.toggle("hidden", !result);
+  $("exportCitedByCsvBtn").disabled = !(result && result.citing.length);
+  if (!result) return;
+
+  const info = result.mainInfo;
+  const after = result.citing.filter((c) => c.timing === "after_retraction");
+  const reviews = result.citing.filter((c) => c.isReview);
+  const statusHtml = mapStatusToTag(info.status);
+  const dateText = info.retractionDate
+    ? ` Retraction date: ${escapeHtml(info.retractionDate)} (${escapeHtml(
+        info.retractionDateSource
+      )}).`
+    : isRetractedLikeStatus(info.status)
+    ? " No retraction date found, so citations cannot be dated against it."
+    : "";
+  const capText = result.truncated
+    ? ` Only the first ${result.citing.length} of ${result.citedByCount} are listed.`
+    : "";
+
+  $("citedBySummary").innerHTML = `
+    <div>${statusHtml} ${escapeHtml(result.title)}</div>
+    <div style="margin-top:4px;">${escapeHtml(info.notes || "")}${dateText}</div>
+    <div style="margin-top:4px;">${result.citing.length} citing works, ${
+    after.length
+  } published after the retraction, ${reviews.length} reviews.${capText}</div>
+  `;
+
+  if (!result.citing.length) {
+    tbody.innerHTML =
+      '<tr><td colspan="5" style="padding:0.75rem;color:#9ca3af;">OpenAlex lists no works citing this article.</td></tr>';
+    return;
+  }
+
+  result.citing.forEach((c) => {
+    const tr = document.createElement("tr");
+    const link = c.doi
+      ? `<a href="https://doi.org/${encodeURIComponent(
+          c.doi
+        )}" target="_blank" rel="noopener noreferrer" class="doi-link">${escapeHtml(c.doi)}</a>`
+      : openAlexLinkHtml(c.openAlexId);
+    const timingHtml =
+      c.timing === "after_retraction"
+        ? statusTag("AFTER RETRACTION", "status-tag--retracted")
+        : c.timing === "before_retraction"
+        ? '<span class="lookup-badge">before retraction</span>'
+        : c.timing === "same_period"
+        ? '<span class="lookup-badge">same period as retraction</span>'
+        : "—";
+    const reviewHtml = c.isReview
+      ? `<div style="margin-top:3px;">${statusTag("REVIEW", "status-tag--eoc")}</div>`
+      : "";
+
+    tr.innerHTML = `
+      <td>${c.idx}</td>
+      <td>${timingHtml}${reviewHtml}</td>
+      <td>${escapeHtml(c.date || "—")}</td>
+      <td>
+        <div style="max-width: 360px; word-break: break-word;">
+          <div>${escapeHtml(c.title)}</div>
+          ${
+            c.venue
+              ? `<div style="margin-top:0.25rem;font-size:0.78rem;color:#9ca3af;">${escapeHtml(
+                  c.venue
+                )}</div>`
+              : ""
+          }
+        </div>
+      </td>
+      <td>${link}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+async function analyzeCitedBy(rawInput) {
+  const doi = normalizeDoiInput(rawInput);
+  citedByResult = null;
+  renderCitedBy();
+
+  if (!doi) {
+    setStatus("Please enter a DOI.", true);
+    return;
+  }
+
+  citedByResult = await checkCitedBy(doi, {
+    onStatus: (msg) => setStatus("Who cites this: " + msg),
+  });
+  renderCitedBy();
+
+  const after = citedByResult.citing.filter((c) => c.timing === "after_retraction");
+  setStatus(
+    `Who cites this: ${citedByResult.citing.length} citing works found; ${after.length} published after the retraction.`
+  );
+}
+
+// ==================== RENDERING / FILTERING ====================
+
+const EVIDENCE_STATUS_LABELS = {
+  retracted: "retracted",
+  expression_of_concern: "EoC",
+  withdrawn: "withdrawn",
+  corrected: "corrected",
+  ok: "OK",
+  no_record: "no record",
+  not_checked: "not checked",
+  unknown: "error",
+};
+
+function evidenceBadgeClass(status) {
+  if (isRetractedLikeStatus(status)) return "source-badge--flag";
+  if (status === "corrected") return "source-badge--corrected";
+  if (status === "ok") return "source-badge--ok";
+  if (status === "unknown") return "source-badge--error";
+  return "source-badge--na";
+}
+
+function renderEvidenceBadges(evidence) {
+  if (!evidence) return "";
+  const badges = Object.keys(EVIDENCE_SOURCES).map((key) => {
+    const e = evidence[key];
+    if (!e) return "";
+    const tooltip = e.error ? "Error: " + e.error : e.signal;
+    return `<span class="source-badge ${evidenceBadgeClass(
+      e.status
+    )}" title="${escapeHtml(tooltip)}">${EVIDENCE_SOURCES[key]}: ${
+      EVIDENCE_STATUS_LABELS[e.status] || escapeHtml(e.status)
+    }</span>`;
+  });
+  const warning = evidenceDisagrees(evidence)
+    ? '<div class="source-disagree">Sources disagree</div>'
+    : "";
+  return `<div class="source-badges">${badges.join("")}</div>${warning}`;
+}
+
+function appendRefRow(ref) {
+  const tbody = $("resultsBody");
+  const tr = document.createElement("tr");
+  tr.dataset.status = ref.status;
+  if (evidenceDisagrees(ref.evidence)) tr.classList.add("row--disagree");
+
+  let linkHtml = "—";
+  if (ref.doi) {
+    const norm = normalizeDoi(ref.doi);
+    linkHtml = `<a href="https://doi.org/${encodeURIComponent(
+      norm
+    )}" target="_blank" rel="noopener noreferrer" class="doi-link">${escapeHtml(norm)}</a>`;
+  } else if (ref.pmid) {
+    linkHtml = `<a href="https://pubmed.ncbi.nlm.nih.gov/${encodeURIComponent(
+      ref.pmid
+    )}/" target="_blank" rel="noopener noreferrer" class="doi-link">PMID ${escapeHtml(ref.pmid)}</a>`;
+  } else if (ref.openAlexId) {
+    linkHtml = openAlexLinkHtml(ref.openAlexId);
+  }
+  // DOI found for a reference that had none: show how sure the match is
+  if (ref.doiMatch) {
+    const via = ref.doiMatch.source === "pubmed" ? "PubMed record" : "Crossref query";
+    linkHtml += `<div class="lookup-badge${
+      ref.doiMatch.confidence < 1 ? " lookup-badge--match" : ""
+    }" title="The reference has no DOI in OpenAlex; this DOI was matched, please verify">matched via ${via}, confidence ${ref.doiMatch.confidence.toFixed(
+      2
+    )}</div>`;
+  }
+
+  let lookupHtml = "";
+  if (ref.lookup === "cache" || ref.lookup === "mixed") {
+    const label = ref.lookup === "cache" ? "cached" : "partly cached";
+    lookupHtml = `<div class="lookup-badge" title="Crossref/PubMed lookups from the local cache">${label}, ${describeCacheAge(
+      ref.cachedAt
+    )}</div>`;
+  } else if (ref.lookup === "fresh") {
+    lookupHtml = '<div class="lookup-badge">fresh lookup</div>';
+  }
+
+  let timingHtml = "";
+  if (ref.retractionTiming === "before_citation") {
+    timingHtml = `<div style="margin-top:3px;">${statusTag(
+      "RETRACTED BEFORE CITATION",
+      "status-tag--retracted"
+    )}</div>`;
+  } else if (ref.retractionTiming === "after_citation") {
+    timingHtml = '<div class="lookup-badge">retracted after citation</div>';
+  } else if (ref.retractionTiming === "same_period") {
+    timingHtml = '<div class="lookup-badge">retracted around citation (same period)</div>';
+  }
+  if (ref.retractionDate) {
+    timingHtml += `<div class="lookup-badge" title="Retraction date from ${escapeHtml(
+      ref.retractionDateSource
+    )}">retracted ${escapeHtml(ref.retractionDate)}</div>`;
+  }
+
+  let secondOrderHtml = "";
+  const so = ref.secondOrder;
+  if (so && so.retracted > 0) {
+    secondOrderHtml = `<div style="margin-top:3px;" title="${escapeHtml(
+      so.retractedIds.join("\n")
+    )}">${statusTag(
+      `CITES ${so.retracted} RETRACTED`,
+      "status-tag--eoc"
+    )}</div><div class="lookup-badge">${so.checked} of ${so.total} cited works checked</div>`;
+  } else if (so) {
+    secondOrderHtml = `<div class="lookup-badge">cites no retracted work (${so.checked} of ${so.total} checked)</div>`;
+  }
+
+  const titleText = ref.title || "(no title available)";
+  const citationText = ref.citation || "";
+
+  tr.innerHTML = `
+    <td>${ref.idx}</td>
+    <td>${mapStatusToTag(ref.status)}${timingHtml}${secondOrderHtml}${lookupHtml}</td>
+    <td>${escapeHtml(ref.year) || "—"}</td>
+    <td>
+      <div style="max-width: 360px; word-break: break-word;">
+        <div>${escapeHtml(titleText)}</div>
+        ${
+          citationText
+            ? `<div style="margin-top:0.25rem;font-size:0.78rem;color:#9ca3af;">${escapeHtml(citationText)}</div>`
+            : ""
+        }
+      </div>
+    </td>
+    <td>${linkHtml}</td>
+    <td>
+      ${renderEvidenceBadges(ref.evidence)}
+      <div style="max-width: 320px; word-break: break-word; color:#9ca3af;">
+        ${escapeHtml(ref.notes)}
+      </div>
+    </td>
+  `;
+
+  tbody.appendChild(tr);
+}
+
+function appendPlaceholderRow(text) {
+  const tr = document.createElement("tr");
+  tr.innerHTML = `<td colspan="6" style="padding:0.75rem;color:#9ca3af;">${text}</td>`;
+  $("resultsBody").appendChild(tr);
+}
+
+function refMatchesFilter(r, filter) {
+  if (filter === "retracted") return isRetractedLikeStatus(r.status);
+  if (filter === "problematic") {
+    return r.status === "problem_no_doi" || r.status === "problem_unknown";
+  }
+  if (filter === "before_citation") {
+    return r.retractionTiming === "before_citation";
+  }
+  if (filter === "second_order") return citesRetractedWork(r);
+  if (filter === "ok") {
+    // Same grouping as the "OK" pill: neither retracted-like nor problematic
+    return !isRetractedLikeStatus(r.status) && !refMatchesFilter(r, "problematic");
+  }
+  return true;
+}
+
+function refMatchesSearch(r, query) {
+  if (!query) return true;
+  const haystack = [r.title, r.citation, r.notes, r.doi]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+// Table sort; "status" descending is the default severity ordering
+const REF_SORTERS = {
+  idx: (a, b) => a.idx - b.idx,
+  status: (a, b) => compareBySeverity(b, a),
+  year: (a, b) => (Number(a.year) || 0) - (Number(b.year) || 0) || a.idx - b.idx,
+  doi: (a, b) => {
+    const da = a.doi ? normalizeDoi(a.doi) : a.openAlexId || "~";
+    const db = b.doi ? normalizeDoi(b.doi) : b.openAlexId || "~";
+    return da.localeCompare(db) || a.idx - b.idx;
+  },
+};
+
+function sortRefs(refs) {
+  const sorter = REF_SORTERS[currentSort.key] || REF_SORTERS.status;
+  const dir = currentSort.dir === "asc" ? 1 : -1;
+  return refs.slice().sort((a, b) => dir * sorter(a, b));
+}
+
+function renderSortIndicators() {
+  document.querySelectorAll("th[data-sort]").forEach((th) => {
+    const active = th.dataset.sort === currentSort.key;
+    th.classList.toggle("sort-active", active);
+    th.dataset.dir = active ? currentSort.dir : "";
+  });
+}
+
+function setSort(key) {
+  if (currentSort.key === key) {
+    currentSort.dir = currentSort.dir === "asc" ? "desc" : "asc";
+  } else {
+    // Severity reads best most-severe-first; everything else ascending
+    currentSort = { key, dir: key === "status" ? "desc" : "asc" };
+  }
+  renderRefsTable(currentFilter);
+}
+
+function renderRefsTable(filter) {
+  currentFilter = filter || "all";
+  const tbody = $("resultsBody");
+  tbody.innerHTML = "";
+  renderSortIndicators();
+
+  if (!showAllRefs) {
+    if (!currentInterestingRefs || !currentInterestingRefs.length) {
+      if (filter === "ok") {
+        const okCount =
+          currentCounts && currentCounts.total
+            ? currentCounts.total
+            : 0;
+        appendPlaceholderRow(
+          `OK references (${okCount}) are not listed individually. This table only lists retracted and problematic references. Tick “Show all references” to list them.`
+        );
+        return;
+      }
+
+      appendPlaceholderRow(
+        "No retracted or problematic references detected. All references appear OK according to Crossref/PubMed/Retraction Watch (but manual verification is still recommended)."
+      );
+      return;
+    }
+
+    if (filter === "ok") {
+      const totalRetLike =
+        currentCounts.retracted +
+        currentCounts.expression_of_concern +
+        currentCounts.withdrawn;
+      const totalProblem =
+        currentCounts.problem_no_doi + currentCounts.problem_unknown;
+      const okCount =
+        currentCounts.total - (totalRetLike + totalProblem);
+
+      appendPlaceholderRow(
+        `OK references (${okCount}) are not shown individually. Only retracted and problematic references are listed here. Tick “Show all references” to list them.`
+      );
+      return;
+    }
+  }
+
+  const query = currentSearch.trim().toLowerCase();
+  const source = showAllRefs ? currentAllRefs : currentInterestingRefs;
+  const subset = sortRefs(
+    source.filter((r) => refMatchesFilter(r, filter) && refMatchesSearch(r, query))
+  );
+
+  if (!subset.length) {
+    const label = query
+      ? `No references match “${escapeHtml(currentSearch.trim())}”.`
+      : filter === "retracted"
+      ? "No retracted/EoC/withdrawn references found."
+      : filter === "before_citation"
+      ? "No references were retracted before this work was published."
+      : filter === "second_order"
+      ? "No references cite retracted/EoC/withdrawn work."
+      : filter === "ok"
+      ? "No OK references."
+      : filter === "problematic"
+      ? "No problematic (no DOI / unknown) references found."
+      : "No references to show.";
+    appendPlaceholderRow(label);
+    return;
+  }
+
+  subset.forEach((ref) => appendRefRow(ref));
+}
+
+function setActivePill(activePill) {
   const summary = $("summary");
   if (!summary) return;
   const pills = summary.querySelectorAll(".pill");
@@ -901,10 +1991,7 @@ function renderSummaryPills(counts) {
       <span class="pill-label">${label}</span>
       <span class="pill-count">${value}</span>
     `;
-    div.addEventListener("click", () => {
-      renderRefsTable(filter);
-      setActivePill(div);
-    });
+    div.addEventListener("click", () => applyFilter(filter));
     return div;
   }
 
@@ -922,6 +2009,12 @@ function renderSummaryPills(counts) {
     totalRetLike === 0,
     "retracted"
   );
+  const pillBefore = pill(
+    "Retracted before citation",
+    counts.before_citation || 0,
+    !counts.before_citation,
+    "before_citation"
+  );
   const pillProb = pill(
     "Problematic (no DOI / unknown)",
     totalProblem,
@@ -929,7 +2022,7 @@ function renderSummaryPills(counts) {
     "problematic"
   );
   const pillOk = pill(
-    "OK (not listed below)",
+    showAllRefs ? "OK" : "OK (not listed below)",
     totalOk,
     true,
     "ok"
@@ -937,79 +2030,364 @@ function renderSummaryPills(counts) {
 
   summary.appendChild(pillTotal);
   summary.appendChild(pillRet);
+  summary.appendChild(pillBefore);
+  if (counts.second_order != null) {
+    summary.appendChild(
+      pill(
+        "Cite retracted work (2nd order)",
+        counts.second_order,
+        !counts.second_order,
+        "second_order"
+      )
+    );
+  }
   summary.appendChild(pillProb);
   summary.appendChild(pillOk);
 
   setActivePill(pillTotal); // default
 }
 
-// ==================== CSV EXPORT ====================
+// ==================== PERMALINKS ====================
 
-function exportCurrentToCsv() {
-  if (!currentInterestingRefs || !currentInterestingRefs.length) return;
+// ?doi=<doi>[&filter=<pill filter>] reproduces an analysis: the DOI is
+// prefilled and analyzed once the Retraction Watch index is ready, then the
+// filter is re-applied. The URL is kept in sync as the user filters.
 
-  const header = [
-    "index",
-    "status",
-    "year",
-    "title",
-    "doi_or_openalex",
-    "citation",
-    "notes",
-  ];
-  const rows = [header];
+const PERMALINK_FILTERS = [
+  "all",
+  "retracted",
+  "before_citation",
+  "second_order",
+  "problematic",
+  "ok",
+];
 
-  currentInterestingRefs.forEach((r) => {
-    const linkField = r.doi ? normalizeDoi(r.doi) : r.openAlexId || "";
-    rows.push([
-      String(r.idx ?? ""),
-      r.status ?? "",
-      r.year != null ? String(r.year) : "",
-      r.title ?? "",
-      linkField,
-      r.citation ?? "",
-      r.notes ?? "",
-    ]);
-  });
+function readPermalink() {
+  const params = new URLSearchParams(window.location.search);
+  const filter = params.get("filter");
+  return {
+    doi: (params.get("doi") || "").trim(),
+    filter: PERMALINK_FILTERS.includes(filter) ? filter : "all",
+  };
+}
 
-  const csv = rows
-    .map((cols) =>
-      cols
-        .map((val) => {
-          const v = String(val ?? "").replace(/"/g, '""');
-          return `"${v}"`;
-        })
-        .join(",")
-    )
-    .join("\r\n");
+function updatePermalink(doi, filter) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete("doi");
+  url.searchParams.delete("filter");
+  if (doi) {
+    url.searchParams.set("doi", doi);
+    if (filter && filter !== "all") url.searchParams.set("filter", filter);
+  }
+  window.history.replaceState(null, "", url.toString());
+}
+
+// DOI of the article in the results table, when it can be re-analyzed from a
+// link (bibliographies cannot)
+function currentPermalinkDoi() {
+  return currentArticle && currentArticle.kind !== "bibliography"
+    ? currentArticle.doi
+    : "";
+}
+
+function applyFilter(filter) {
+  renderRefsTable(filter);
+  const summary = $("summary");
+  const pill = summary && summary.querySelector(`.pill[data-filter="${filter}"]`);
+  if (pill) setActivePill(pill);
+  updatePermalink(currentPermalinkDoi(), currentFilter);
+}
+
+// ==================== CSV EXPORT ====================
+
+function downloadCsv(csv, baseNameRaw) {
+  downloadFile(csv, "text/csv;charset=utf-8;", baseNameRaw, "csv");
+}
 
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+function downloadFile(content, type, baseNameRaw, extension) {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
 
   const baseName =
-    (lastAnalyzedDoi || "results")
+    (baseNameRaw || "results")
       .replace(/^https?:\/\//, "")
       .replace(/[^a-zA-Z0-9._-]+/g, "_")
       .slice(0, 80) || "results";
 
   const a = document.createElement("a");
   a.href = url;
-  a.download = `retraction-radar-${baseName}.csv`;
+  a.download = `retraction-radar-${baseName}.${extension}`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
+// Flagged references only, or every reference (in reference order) when
+// "Show all references" is ticked
+function refsForExport() {
+  if (showAllRefs) {
+    return currentAllRefs.slice().sort((a, b) => a.idx - b.idx);
+  }
+  return currentInterestingRefs || [];
+}
+
+function exportCurrentToCsv() {
+  const refs = refsForExport();
+  if (!refs.length) return;
+
+  const rows = [REF_CSV_HEADER];
+  refs.forEach((r) => rows.push(refCsvFields(r)));
+
+  downloadCsv(rowsToCsv(rows), lastAnalyzedDoi);
+}
+
+// One row per flagged reference, prefixed with the citing article. Articles
+// without flagged references (or that failed) still get a single row so the
+// export lists every screened DOI.
+function exportBatchToCsv() {
+  if (!batchResults.length) return;
+
+  const header = [
+    "source_doi",
+    "source_title",
+    "source_verdict",
+    "source_status",
+    "source_total_refs",
+    ...REF_CSV_HEADER,
+  ];
+  const rows = [header];
+  const emptyRef = REF_CSV_HEADER.map(() => "");
+
+  batchResults.forEach((entry) => {
+    const article = entry.article;
+    const source = [
+      entry.doi,
+      article ? article.title : "",
+      articleVerdict(entry).key,
+      article && article.mainInfo ? article.mainInfo.status : "",
+      article && article.counts ? String(article.counts.total) : "",
+    ];
+
+    if (entry.error) {
+      const errRef = emptyRef.slice();
+      errRef[REF_CSV_HEADER.indexOf("notes")] = "Error: " + entry.error;
+      rows.push([...source, ...errRef]);
+    } else if (article && article.interesting.length) {
+      article.interesting.forEach((r) => rows.push([...source, ...refCsvFields(r)]));
+    } else {
+      rows.push([...source, ...emptyRef]);
+    }
+  });
+
+  downloadCsv(rowsToCsv(rows), `batch-${batchResults.length}-articles`);
+}
+
+function exportCitedByToCsv() {
+  const result = citedByResult;
+  if (!result || !result.citing.length) return;
+
+  const info = result.mainInfo;
+  const rows = [
+    [
+      "cited_doi",
+      "cited_status",
+      "cited_retraction_date",
+      "index",
+      "citing_doi_or_openalex",
+      "citing_title",
+      "citing_publication_date",
+      "citing_type",
+      "citing_venue",
+      "is_review",
+      "timing",
+      "settings",
+    ],
+  ];
+  result.citing.forEach((c) =>
+    rows.push([
+      normalizeDoi(result.workDoi),
+      info.status,
+      info.retractionDate || "",
+      String(c.idx),
+      c.doi || c.openAlexId,
+      c.title,
+      c.date,
+      c.type,
+      c.venue,
+      c.isReview ? "yes" : "no",
+      c.timing,
+      result.settings,
+    ])
+  );
+
+  downloadCsv(rowsToCsv(rows), "cited-by-" + result.doi);
+}
+
+// ==================== REPRODUCIBILITY BUNDLE ====================
+
+// A new recording when "Record a reproducibility bundle" is ticked
+function requestedRecording() {
+  const box = $("recordBundle");
+  return box && box.checked ? newBundleRecording() : null;
+}
+
+// Only finished single-article runs: a replay needs every response
+function canExportBundle() {
+  return !!(
+    bundleRecording &&
+    currentArticle &&
+    currentArticle.identifier &&
+    !currentArticle.stopped &&
+    !analyzeBusy
+  );
+}
+
+function exportBundle() {
+  if (!canExportBundle()) return;
+  const bundle = buildBundle(bundleRecording, currentArticle);
+  downloadFile(JSON.stringify(bundle), "application/json", "bundle-" + lastAnalyzedDoi, "json");
+}
+
+// Re-runs the bundle's analysis from its responses, then reports whether the
+// statuses match the recorded ones
+async function replayBundle(bundle) {
+  await analyzeDoi(bundle.analysis.identifier);
+  if (currentArticle && currentArticle.identifier) {
+    appendStatus(describeReplayComparison(bundle, compareWithBundle(bundle, currentArticle)));
+  }
+}
+
+async function replayBundleFile(file) {
+  let bundle;
+  try {
+    bundle = parseBundle(await file.text());
+  } catch (err) {
+    setStatus(`Could not read ${file.name}: ${err.message}.`, true);
+    return;
+  }
+  await runExclusive(() => replayBundle(bundle), { replay: bundle });
+}
+
 // ==================== WIRING ====================
 
+// Runs one analysis (single DOI, bibliography or batch) with the buttons
+// locked and the run options (force refresh) read from the form. Cancel
+// stops any run; Pause only those that can be resumed (pausable). A
+// `recording` collects the raw responses for a bundle; `replay` answers every
+// request from a bundle instead of the network.
+async function runExclusive(task, { pausable = false, recording = null, replay = null } = {}) {
+  const exportBtn = $("exportCsvBtn");
+  const forceRefreshBox = $("forceRefresh");
+  const secondOrderBox = $("secondOrder");
+  const secondOrderMax = $("secondOrderMax");
+
+  analyzeBusy = true;
+  runController = new AbortController();
+  runPausable = pausable;
+  resumeTask = null;
+  bundleRecording = recording;
+  setRunOptions({
+    signal: runController.signal,
+    recording,
+    replay,
+    forceRefresh: !!(forceRefreshBox && forceRefreshBox.checked),
+    secondOrder:
+      secondOrderBox && secondOrderBox.checked
+        ? {
+            maxLookups:
+              parseInt(secondOrderMax && secondOrderMax.value, 10) ||
+              SECOND_ORDER_DEFAULT_MAX,
+          }
+        : null,
+  });
+  refreshAnalyzeButton();
+  refreshRunControls();
+  hideTitleCandidates();
+  exportBtn.disabled = true;
+  $("exportBundleBtn").disabled = true;
+  setStatus("");
+
+  try {
+    await task();
+    appendStatus(describeRunStats());
+  } catch (err) {
+    if (runController.signal.aborted) {
+      // Stopped before any reference was checked: nothing to show or resume
+      setStatus(
+        runStopReason(runController.signal) === "paused"
+          ? "Paused before any reference was checked; run it again to start over."
+          : "Cancelled."
+      );
+    } else {
+      console.error(err);
+      setStatus("Error: " + err.message, true);
+    }
+    finishProgress();
+  } finally {
+    analyzeBusy = false;
+    runController = null;
+    setRunOptions();
+    refreshAnalyzeButton();
+    refreshRunControls();
+    exportBtn.disabled = !refsForExport().length;
+    $("exportBundleBtn").disabled = !canExportBundle();
+    if (rwIndexReloadPending) {
+      rwIndexReloadPending = false;
+      reloadRetractionWatchIndex();
+    }
+  }
+}
+
+// Loads a newer Retraction Watch index, but never in the middle of a run
+function reloadRwIndexWhenIdle() {
+  if (analyzeBusy) {
+    rwIndexReloadPending = true;
+  } else {
+    reloadRetractionWatchIndex();
+  }
+}
+
+async function checkForNewerRwIndex() {
+  if (await isNewerRetractionWatchIndexPublished()) reloadRwIndexWhenIdle();
+}
+
+// sw.js keeps the page and its scripts available offline; the index itself
+// is the IndexedDB snapshot kept by core.js. Back online, or every
+// RW_MANIFEST_RECHECK_MS, the manifest is checked for a newer index.
+function setupOfflineSupport() {
+  if ("serviceWorker" in navigator && window.location.protocol !== "file:") {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((err) => {
+      console.warn("Service worker registration failed:", err);
+    });
+  }
+
+  window.addEventListener("offline", updateRwStatus);
+  window.addEventListener("online", () => {
+    updateRwStatus();
+    // A stale snapshot gets its check date refreshed even if nothing changed
+    if (isRetractionWatchIndexStale()) reloadRwIndexWhenIdle();
+    else checkForNewerRwIndex();
+  });
+  setInterval(checkForNewerRwIndex, RW_MANIFEST_RECHECK_MS);
+}
+
 function setup() {
+  // Before anything can start a run (permalinks analyze on load)
+  loadSettings();
+
   const form = $("doiForm");
   const input = $("doiInput");
   const analyzeBtn = $("analyzeBtn");
   const exportBtn = $("exportCsvBtn");
 
-  analyzeBtnGlobal = analyzeBtn;
+  runButtonsGlobal = [
+    analyzeBtn,
+    $("batchBtn"),
+    $("bibBtn"),
+    $("watchRunBtn"),
+    $("citedByBtn"),
+  ];
   analyzeReady = false;
   analyzeBusy = false;
   refreshAnalyzeButton();
@@ -1028,13 +2406,24 @@ function setup() {
       statusEl.parentNode.insertBefore(rwStatus, statusEl.nextSibling);
     }
   }
+  onRetractionWatchIndexChange(updateRwStatus);
   updateRwStatus();
+  setupOfflineSupport();
+
+  // Permalink (?doi=…&filter=…): prefill now, run once the index is ready
+  const permalink = readPermalink();
+  if (permalink.doi) input.value = permalink.doi;
 
   // Start loading Retraction Watch index immediately
   ensureRetractionWatchIndex()
-    .finally(() => {
+    .finally(async () => {
       analyzeReady = true; // even if error; we still allow analysis
       refreshAnalyzeButton();
+
+      if (permalink.doi) {
+        await runExclusive(() => analyzeDoi(permalink.doi), { pausable: true });
+        if (currentArticle) applyFilter(permalink.filter);
+      }
     });
 
   form.addEventListener("submit", async (e) => {
@@ -1042,25 +2431,119 @@ function setup() {
     const doi = input.value.trim();
     if (!doi) return;
 
-    analyzeBusy = true;
-    refreshAnalyzeButton();
-    exportBtn.disabled = true;
-    setStatus("");
-
-    try {
-      await analyzeDoi(doi);
-    } catch (err) {
-      console.error(err);
-      setStatus("Error: " + err.message, true);
-      finishProgress();
-    } finally {
-      analyzeBusy = false;
-      refreshAnalyzeButton();
-      exportBtn.disabled = !currentInterestingRefs.length;
-    }
+    await runExclusive(() => analyzeDoi(doi), { pausable: true, recording: requestedRecording() });
   });
 
   exportBtn.addEventListener("click", exportCurrentToCsv);
+  $("exportBundleBtn").addEventListener("click", exportBundle);
+  $("replayFile").addEventListener("change", async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (file && !analyzeBusy) await replayBundleFile(file);
+  });
+
+  // Pause / Cancel / Resume
+  $("pauseBtn").addEventListener("click", () => stopRun("paused"));
+  $("cancelBtn").addEventListener("click", () => stopRun("cancelled"));
+  $("resumeBtn").addEventListener("click", () => {
+    if (resumeTask) runExclusive(resumeTask, { pausable: true, recording: bundleRecording });
+  });
+
+  // Full table: show-all toggle, search, sortable headers
+  $("showAllRefs").addEventListener("change", (e) => {
+    showAllRefs = e.target.checked;
+    if (currentCounts) renderSummaryPills(currentCounts);
+    applyFilter(currentFilter);
+    exportBtn.disabled = !refsForExport().length;
+  });
+
+  $("refSearch").addEventListener("input", (e) => {
+    currentSearch = e.target.value;
+    renderRefsTable(currentFilter);
+  });
+
+  document.querySelectorAll("th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => setSort(th.dataset.sort));
+  });
+
+  // Watchlist
+  renderWatchlist();
+
+  $("watchSaveBtn").addEventListener("click", () => {
+    if (!currentArticle || currentArticle.kind === "bibliography") return;
+    addArticleToWatchlist(currentArticle);
+    setStatus(`Saved ${currentArticle.doi} to the watchlist.`);
+  });
+
+  $("watchRunBtn").addEventListener("click", async () => {
+    await runExclusive(rescreenWatchlist);
+    renderWatchlist();
+  });
+
+  $("exportDiffCsvBtn").addEventListener("click", exportWatchlistDiffToCsv);
+
+  // Batch mode
+  const batchInput = $("batchInput");
+  const batchExportBtn = $("exportBatchCsvBtn");
+
+  $("batchFile").addEventListener("change", async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    batchInput.value = (batchInput.value ? batchInput.value + "\n" : "") + text;
+    e.target.value = "";
+  });
+
+  $("batchForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    batchExportBtn.disabled = true;
+    await runExclusive(() => analyzeBatch(batchInput.value), { pausable: true });
+  });
+
+  batchExportBtn.addEventListener("click", exportBatchToCsv);
+
+  // Bibliography mode
+  const bibInput = $("bibInput");
+  let bibSourceLabel = "Pasted bibliography";
+
+  bibInput.addEventListener("input", () => {
+    bibSourceLabel = "Pasted bibliography";
+  });
+
+  $("bibFile").addEventListener("change", async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    bibInput.value = await file.text();
+    bibSourceLabel = file.name;
+    e.target.value = "";
+  });
+
+  $("bibForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!bibInput.value.trim()) return;
+
+    await runExclusive(() => analyzeBibliography(bibInput.value, bibSourceLabel), {
+      pausable: true,
+    });
+  });
+
+  // Forward mode (who cites this)
+  $("citedByForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const doi = $("citedByInput").value.trim();
+    if (!doi) return;
+
+    await runExclusive(() => analyzeCitedBy(doi));
+  });
+
+  $("exportCitedByCsvBtn").addEventListener("click", exportCitedByToCsv);
+
+  renderSettingsForm();
+  $("settingsForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveSettingsFromForm();
+  });
 }
 
 // Script loaded at end of <body>, so DOM is ready
@@ -0,0 +1,2812 @@
+// Retraction Radar – core.js: the DOM-free retraction checks
+// - Loaded before app.js as a plain script: everything below is global there
+// - Required by the Node CLI (bin/retraction-radar.js) through module.exports
+// - No document/window access here; progress is reported through hooks
+
+// ==================== CONFIG ====================
+
+// The PubMed API key and the contact email are per-user settings (see
+// SETTINGS below); none is shipped with the app.
+
+// Recorded in reproducibility bundles, with the bundle format they follow
+const APP_VERSION = "2.0";
+const BUNDLE_FORMAT = "retraction-radar-bundle/1";
+
+// Local Retraction Watch index (updated by GitHub Action): the TSV carries
+// nature/date/reasons/notice DOI; the plain DOI list is the fallback.
+const RW_INDEX_URL = "data/retraction_watch_index.tsv";
+const RW_DOI_LIST_URL = "data/retraction_watch_doi_index.txt";
+
+// Manifest published next to the index by the same Action: version (start of
+// the TSV's SHA-256), build time, upstream commit, entry count and the delta
+// files (added/removed TSV records) leading from earlier versions to this one.
+// Delta paths are relative to RW_DATA_BASE_URL.
+const RW_MANIFEST_URL = "data/retraction_watch_manifest.json";
+const RW_DATA_BASE_URL = "data/";
+
+// An older local snapshot is brought up to date with at most this many delta
+// files; further behind, the whole TSV is downloaded again.
+const RW_MAX_DELTA_FILES = 20;
+
+// Per-host limits: max requests in flight + max request starts per second
+// (perSecondWithKey once a PubMed API key is set: NCBI allows 10 req/s with
+// a key, 3 without).
+const HOST_LIMITS = {
+  "api.openalex.org": { concurrency: 4, perSecond: 10 },
+  "api.crossref.org": { concurrency: 4, perSecond: 10 },
+  "eutils.ncbi.nlm.nih.gov": { concurrency: 3, perSecond: 3, perSecondWithKey: 10 },
+};
+const DEFAULT_HOST_LIMIT = { concurrency: 4, perSecond: 5 };
+
+// Transient failures retried by the request pool: up to MAX_RETRIES more
+// attempts, waiting RETRY_BASE_DELAY_MS doubled each time (or the server's
+// Retry-After), never longer than RETRY_MAX_DELAY_MS
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+// Local cache of lookups (IndexedDB), time-to-live per source
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A local index snapshot not confirmed against the manifest for this long is
+// reported as stale (typically: used offline)
+const RW_INDEX_STALE_MS = 2 * DAY_MS;
+const CACHE_DB_NAME = "retraction-radar";
+const CACHE_STORE = "lookups";
+const CACHE_TTL_MS = {
+  openalex: 7 * DAY_MS,
+  crossref: 1 * DAY_MS,
+  pubmed: 1 * DAY_MS,
+};
+
+// How many references are checked in parallel
+const REF_CONCURRENCY = 6;
+
+// OpenAlex IDs per `filter=openalex:W1|W2…` request (same as code.gs)
+const OPENALEX_BATCH_SIZE = 40;
+
+// Candidates offered when the focal article is given by its title
+const TITLE_SEARCH_RESULTS = 8;
+
+// References without a DOI: Crossref bibliographic matches looked at, and the
+// confidence (0–1, see scoreBibliographicMatch) a match needs to be used
+const CROSSREF_MATCH_ROWS = 5;
+const DOI_MATCH_MIN_CONFIDENCE = 0.8;
+
+// Second-order screening: default cap on unique works cited by the references
+// that are looked up (each one costs Crossref + PubMed requests)
+const SECOND_ORDER_DEFAULT_MAX = 500;
+
+// ==================== SETTINGS ====================
+
+// Per-user settings (page: the Settings panel, kept in localStorage; CLI:
+// flags and environment variables):
+//   pubMedApiKey: NCBI API key, raises the PubMed rate limit
+//   contactEmail: sent to OpenAlex and Crossref as `mailto` (polite pools)
+//   disabledSources: EVIDENCE_SOURCES keys not consulted. OpenAlex still
+//     resolves works and reference lists, only its is_retracted flag is
+//     dropped; without Crossref there are no Crossref reference lists or
+//     bibliographic matches either.
+let settings = defaultSettings();
+
+function defaultSettings() {
+  return { pubMedApiKey: "", contactEmail: "", disabledSources: [] };
+}
+
+function applySettings(next = {}) {
+  settings = {
+    pubMedApiKey: String(next.pubMedApiKey || "").trim(),
+    contactEmail: String(next.contactEmail || "").trim(),
+    disabledSources: (next.disabledSources || []).filter((key) => key in EVIDENCE_SOURCES),
+  };
+  // The PubMed rate limit depends on the key
+  hostStates.forEach((st, host) => setHostLimits(st, host));
+}
+
+function getSettings() {
+  return { ...settings, disabledSources: settings.disabledSources.slice() };
+}
+
+function isSourceEnabled(key) {
+  return !settings.disabledSources.includes(key);
+}
+
+// The settings as recorded in exports: the sources consulted and whether a
+// key and an email were set (never the key or the address themselves)
+function settingsForExport() {
+  const sources = {};
+  Object.keys(EVIDENCE_SOURCES).forEach((key) => {
+    sources[key] = isSourceEnabled(key);
+  });
+  return {
+    sources,
+    pubMedApiKey: !!settings.pubMedApiKey,
+    contactEmail: !!settings.contactEmail,
+  };
+}
+
+// settingsForExport() on one line, for the CSV `settings` column
+function describeSettings() {
+  const s = settingsForExport();
+  const enabled = Object.keys(s.sources).filter((key) => s.sources[key]);
+  return [
+    "sources=" + (enabled.join("+") || "none"),
+    "pubmed_api_key=" + (s.pubMedApiKey ? "yes" : "no"),
+    "contact_email=" + (s.contactEmail ? "yes" : "no"),
+  ].join("; ");
+}
+
+// Polite-pool parameter appended to API URLs ("" without a contact email)
+function mailtoParam(separator, name = "mailto") {
+  if (!settings.contactEmail) return "";
+  return `${separator}${name}=${encodeURIComponent(settings.contactEmail)}`;
+}
+
+// ==================== RUN STATE ====================
+
+// "Force refresh" for the current run: skip cache reads (still write back)
+let forceRefresh = false;
+
+// Second-order screening for the current run: null (off) or { maxLookups }
+let secondOrderOptions = null;
+
+// AbortSignal of the current run (page: Pause / Cancel buttons). Aborting it
+// drops queued requests and aborts in-flight ones; its reason ("paused" or
+// "cancelled") is reported in article.stopped.
+let runSignal = null;
+
+// Reproducibility bundle (see REPRODUCIBILITY BUNDLE): the recording the
+// current run adds its responses to, and the bundle being replayed (its
+// requests are answered from the bundle, never from the network or cache)
+let recording = null;
+let replaySource = null;
+
+// Requests of the current run: sent, retried, and still failing after the
+// last retry (network error or a RETRY_STATUSES answer)
+let runStats = emptyRunStats();
+
+let rwIndexPromise = null; // Promise<Map<doi, record[]>>
+// manifest: the published manifest the loaded index matches (null when none);
+// checkedAt: when the index was last confirmed current; update: how the local
+// snapshot was brought up to date ({ kind, deltaFiles, added, removed })
+let rwIndexMeta = emptyRwIndexMeta();
+let rwIndexLoader = () => loadRetractionWatchIndexWithSnapshot();
+const rwIndexListeners = []; // called whenever rwIndexMeta changes
+
+// Applies the options of one run (page: the checkboxes; CLI: the flags).
+// Call with no argument to reset them once the run is over.
+// A recording run skips cache reads, so that every lookup has its raw
+// response; a replay takes its second-order option and sources from the
+// bundle, and the settings are restored afterwards.
+function setRunOptions(options = {}) {
+  if (recording) recording.finishedAt = new Date().toISOString();
+  if (replaySource) applySettings(replaySource.savedSettings);
+
+  recording = options.recording || null;
+  replaySource = options.replay ? openReplay(options.replay) : null;
+  forceRefresh = !!options.forceRefresh || !!recording;
+  secondOrderOptions = options.replay
+    ? (options.replay.run && options.replay.run.secondOrder) || null
+    : options.secondOrder || null;
+  runSignal = options.signal || null;
+  runStats = emptyRunStats();
+
+  if (recording) {
+    recording.retractionWatch = recording.retractionWatch || rwIndexSummary();
+    recording.settings = settingsForExport();
+    recording.secondOrder = secondOrderOptions;
+  }
+}
+
+function emptyRunStats() {
+  return { requests: 0, retried: 0, failed: 0 };
+}
+
+function getRunStats() {
+  return { ...runStats };
+}
+
+// "" when every request went through (possibly after retries)
+function describeRunStats(stats = runStats) {
+  if (!stats.failed) return "";
+  return `${stats.failed} of ${stats.requests} API requests still failed after ${MAX_RETRIES} retries; the sources they concern are marked as errors.`;
+}
+
+function isRunStopped() {
+  return !!(runSignal && runSignal.aborted);
+}
+
+function runStopReason(signal = runSignal) {
+  return signal && typeof signal.reason === "string" ? signal.reason : "cancelled";
+}
+
+// For the places where a stopped run has nothing worth keeping
+function runStoppedError(signal = runSignal) {
+  const err = new Error("Run " + runStopReason(signal));
+  err.name = "AbortError";
+  return err;
+}
+
+// ==================== HELPERS ====================
+
+// The index the lookups go by: the loaded one, or the one a replayed bundle
+// was recorded with
+function rwIndexState() {
+  return replaySource ? replaySource.retractionWatch : rwIndexMeta;
+}
+
+function emptyRwIndexMeta() {
+  return {
+    loaded: false,
+    size: 0,
+    format: null,
+    error: null,
+    manifest: null,
+    checkedAt: null,
+    update: null,
+  };
+}
+
+function normalizeDoi(raw) {
+  if (!raw) return "";
+  return raw
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")
+    .replace(/^doi:/i, "")
+    .toLowerCase();
+}
+
+// Dates are kept as ISO strings ("2021", "2021-03" or "2021-03-31"), which
+// compare correctly as plain strings.
+function earliestDate(a, b) {
+  if (!a) return b || "";
+  if (!b) return a;
+  return a <= b ? a : b;
+}
+
+// For ordering: retracted first, then problematic, then others
+const STATUS_SCORE = {
+  retracted: 5,
+  expression_of_concern: 4,
+  withdrawn: 4,
+  corrected: 3,
+  problem_no_doi: 2,
+  problem_unknown: 1,
+  ok: 0,
+};
+
+// Browser reports no network: API lookups are skipped, only the (cached)
+// Retraction Watch index is used. Always false in Node.
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function compareBySeverity(a, b) {
+  const sa = STATUS_SCORE[a.status] ?? 0;
+  const sb = STATUS_SCORE[b.status] ?? 0;
+  if (sa !== sb) return sb - sa;
+  return a.idx - b.idx;
+}
+
+// ==================== REQUEST POOL ====================
+
+// Every API call goes through rateLimitedFetch(), which queues requests per
+// host so that at most `concurrency` are in flight and new ones start no
+// faster than `perSecond`. References are then classified in parallel with
+// mapWithConcurrency() without flooding any single API.
+//
+// Transient failures (network errors, RETRY_STATUSES) are retried up to
+// MAX_RETRIES times with exponential backoff, or after the server's
+// Retry-After; a 429 holds back the whole host for that long. Only what is
+// still failing after that reaches the callers, and is counted in runStats.
+
+const hostStates = new Map();
+
+function getHostState(host) {
+  let st = hostStates.get(host);
+  if (!st) {
+    st = { active: 0, nextStartAt: 0, queue: [], timer: null };
+    setHostLimits(st, host);
+    hostStates.set(host, st);
+  }
+  return st;
+}
+
+function setHostLimits(st, host) {
+  const limits = HOST_LIMITS[host] || DEFAULT_HOST_LIMIT;
+  st.limits =
+    settings.pubMedApiKey && limits.perSecondWithKey
+      ? { ...limits, perSecond: limits.perSecondWithKey }
+      : limits;
+  st.minIntervalMs = 1000 / st.limits.perSecond;
+}
+
+function pumpHostQueue(st) {
+  while (st.active < st.limits.concurrency && st.queue.length) {
+    const now = Date.now();
+    const wait = st.nextStartAt - now;
+    if (wait > 0) {
+      if (!st.timer) {
+        st.timer = setTimeout(() => {
+          st.timer = null;
+          pumpHostQueue(st);
+        }, wait);
+      }
+      return;
+    }
+
+    const job = st.queue.shift();
+    if (job.signal) job.signal.removeEventListener("abort", job.dropOnAbort);
+    st.active++;
+    st.nextStartAt = now + st.minIntervalMs;
+    if (!job.attempt) runStats.requests++;
+    fetch(job.url, job.options)
+      .then(
+        (res) => {
+          if (!RETRY_STATUSES.includes(res.status)) return job.resolve(res);
+          if (job.attempt < MAX_RETRIES) return retryJob(st, job, res);
+          runStats.failed++;
+          job.resolve(res);
+        },
+        (err) => {
+          // fetch rejects with the abort reason ("paused", "cancelled") as is
+          if (job.signal && job.signal.aborted) return job.reject(runStoppedError(job.signal));
+          if (err.name === "AbortError" || isOffline()) return job.reject(err);
+          if (job.attempt < MAX_RETRIES) return retryJob(st, job, null);
+          runStats.failed++;
+          job.reject(err);
+        }
+      )
+      .finally(() => {
+        st.active--;
+        pumpHostQueue(st);
+      });
+  }
+}
+
+// Queues a job on its host; a stopped run rejects it instead of waiting its turn
+function enqueueJob(st, job) {
+  if (job.signal) {
+    if (job.signal.aborted) return job.reject(runStoppedError(job.signal));
+    job.dropOnAbort = () => {
+      st.queue.splice(st.queue.indexOf(job), 1);
+      job.reject(runStoppedError(job.signal));
+    };
+    job.signal.addEventListener("abort", job.dropOnAbort, { once: true });
+  }
+  st.queue.push(job);
+  pumpHostQueue(st);
+}
+
+// Delay before the next attempt: the server's Retry-After (seconds or an
+// HTTP date) when given, else RETRY_BASE_DELAY_MS doubled per attempt
+function retryDelayMs(attempt, res) {
+  const retryAfter = res && res.headers && res.headers.get("Retry-After");
+  let delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  if (retryAfter) {
+    const ms = /^\d+$/.test(retryAfter.trim())
+      ? Number(retryAfter) * 1000
+      : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) delay = ms;
+  }
+  return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+function retryJob(st, job, res) {
+  const delay = retryDelayMs(job.attempt, res);
+  job.attempt++;
+  runStats.retried++;
+  // Rate limited: the other queued requests for this host wait as well
+  if (res && res.status === 429) st.nextStartAt = Math.max(st.nextStartAt, Date.now() + delay);
+
+  const timer = setTimeout(() => {
+    if (job.signal) job.signal.removeEventListener("abort", cancelRetry);
+    enqueueJob(st, job);
+  }, delay);
+  const cancelRetry = () => {
+    clearTimeout(timer);
+    job.reject(runStoppedError(job.signal));
+  };
+  if (job.signal) job.signal.addEventListener("abort", cancelRetry, { once: true });
+}
+
+function rateLimitedFetch(url, options = {}) {
+  if (replaySource) return replayFetch(url);
+  // Fail fast instead of queueing requests that cannot succeed
+  if (isOffline()) return Promise.reject(new Error("offline"));
+  const signal = runSignal;
+  const rec = recording;
+
+  const pending = new Promise((resolve, reject) => {
+    enqueueJob(getHostState(new URL(url).host), {
+      url,
+      options: signal ? { ...options, signal } : options,
+      signal,
+      attempt: 0,
+      resolve,
+      reject,
+    });
+  });
+  if (!rec) return pending;
+  return pending.then(
+    (res) => recordResponse(rec, url, res),
+    (err) => {
+      recordFailure(rec, url, err);
+      throw err;
+    }
+  );
+}
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls running at
+// once. Results keep the order of `items`. No new calls are started once the
+// run is stopped; the results of those items stay empty.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length && !isRunStopped()) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+// ==================== LOCAL CACHE (IndexedDB) ====================
+
+// Per-source lookups (OpenAlex works, Crossref and PubMed verdicts) are kept
+// in IndexedDB for CACHE_TTL_MS[source]. Only successful lookups are stored.
+// Retraction Watch is never cached here per DOI: it is always checked against
+// the index loaded for this session, so a cached Crossref/PubMed "ok" can
+// never hide a newer Retraction Watch hit. The index itself is kept here as
+// one snapshot record (see RETRACTION WATCH SNAPSHOT).
+
+let cacheDbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const req = indexedDB.open(CACHE_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(CACHE_STORE, { keyPath: "key" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn("Local cache unavailable:", req.error);
+        resolve(null); // fail soft: every lookup is fresh
+      };
+    });
+  }
+  return cacheDbPromise;
+}
+
+async function cacheGet(source, id) {
+  if (forceRefresh) return null;
+  const db = await openCacheDb();
+  if (!db) return null;
+  try {
+    const rec = await idbRequest(
+      db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(source + ":" + id)
+    );
+    if (!rec || Date.now() - rec.storedAt > (CACHE_TTL_MS[source] || 0)) {
+      return null;
+    }
+    return rec;
+  } catch (err) {
+    console.warn("Cache read failed for", source, id, err);
+    return null;
+  }
+}
+
+async function cachePut(source, id, value) {
+  const db = await openCacheDb();
+  if (!db) return;
+  try {
+    await idbRequest(
+      db
+        .transaction(CACHE_STORE, "readwrite")
+        .objectStore(CACHE_STORE)
+        .put({ key: source + ":" + id, source, value, storedAt: Date.now() })
+    );
+  } catch (err) {
+    console.warn("Cache write failed for", source, id, err);
+  }
+}
+
+// Returns { value, cachedAt } where cachedAt is the storage time of a cache
+// hit, or null for a fresh lookup. Errors thrown by `loader` are not cached.
+async function withCache(source, id, loader) {
+  if (replaySource) return { value: await loader(), cachedAt: null };
+  const hit = await cacheGet(source, id);
+  if (hit) return { value: hit.value, cachedAt: hit.storedAt };
+  const value = await loader();
+  await cachePut(source, id, value);
+  return { value, cachedAt: null };
+}
+
+// ==================== RETRACTION WATCH INDEX ====================
+
+// The index is a Map of normalized DOI → array of Retraction Watch records
+// ({ nature, date, reasons, noticeDoi }). The rich TSV (RW_INDEX_URL) carries
+// those details; the legacy plain DOI list (RW_DOI_LIST_URL) is used when the
+// TSV is missing, and its entries have an empty record list.
+
+async function fetchIndexText(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error("HTTP " + res.status);
+  }
+  return res.text();
+}
+
+// Tab-separated, with a header row naming the columns:
+// doi, nature, retraction_date, reasons, notice_doi
+function parseRichRetractionWatchIndex(text) {
+  const index = new Map();
+  const lines = text.split(/\r?\n/);
+  const header = (lines.shift() || "").split("\t").map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const iDoi = col("doi");
+  if (iDoi < 0) throw new Error("index header has no doi column");
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const cells = line.split("\t");
+    const doi = normalizeDoi(cells[iDoi]);
+    if (!doi || !doi.startsWith("10.")) continue;
+
+    const cell = (name) => (col(name) >= 0 ? (cells[col(name)] || "").trim() : "");
+    const record = {
+      nature: cell("nature"),
+      date: cell("retraction_date"),
+      reasons: cell("reasons")
+        .split(";")
+        .map((r) => r.trim())
+        .filter(Boolean),
+      noticeDoi: normalizeDoi(cell("notice_doi")),
+    };
+    if (!index.has(doi)) index.set(doi, []);
+    index.get(doi).push(record);
+  }
+  return index;
+}
+
+function parsePlainRetractionWatchIndex(text) {
+  const index = new Map();
+  // Handle any format: one big line, newlines, commas, spaces, etc.
+  const tokens = text.split(/[\s,;]+/);
+  for (const t of tokens) {
+    const norm = normalizeDoi(t);
+    if (norm && norm.startsWith("10.")) {
+      index.set(norm, []);
+    }
+  }
+  return index;
+}
+
+// A rich TSV starts with a tab-separated header naming a doi column
+function parseRetractionWatchIndexText(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/)).toLowerCase();
+  if (firstLine.includes("\t") && firstLine.split("\t").includes("doi")) {
+    return { index: parseRichRetractionWatchIndex(text), format: "rich" };
+  }
+  return { index: parsePlainRetractionWatchIndex(text), format: "plain" };
+}
+
+// `readText(location)` returns the file contents: fetch() in the page, a
+// file read in the CLI.
+async function loadRetractionWatchIndex(
+  readText,
+  richLocation = RW_INDEX_URL,
+  plainLocation = RW_DOI_LIST_URL
+) {
+  try {
+    const index = parseRichRetractionWatchIndex(await readText(richLocation));
+    return { index, format: "rich" };
+  } catch (err) {
+    console.warn("Rich Retraction Watch index unavailable, using DOI list:", err);
+  }
+  const index = parsePlainRetractionWatchIndex(await readText(plainLocation));
+  return { index, format: "plain" };
+}
+
+// Replaces where the index comes from; `loader` resolves to
+// { index, format, manifest?, checkedAt?, update? }. Any index already loaded
+// is dropped.
+function setRetractionWatchIndexLoader(loader) {
+  rwIndexLoader = loader;
+  rwIndexPromise = null;
+}
+
+// Loads the index again (e.g. after the service worker downloaded a newer one)
+function reloadRetractionWatchIndex() {
+  rwIndexPromise = null;
+  return ensureRetractionWatchIndex();
+}
+
+function isRetractionWatchIndexStale() {
+  return !!rwIndexMeta.checkedAt && Date.now() - rwIndexMeta.checkedAt > RW_INDEX_STALE_MS;
+}
+
+function onRetractionWatchIndexChange(listener) {
+  rwIndexListeners.push(listener);
+}
+
+function notifyRetractionWatchIndexChange() {
+  rwIndexListeners.forEach((listener) => listener(rwIndexMeta));
+}
+
+function ensureRetractionWatchIndex() {
+  if (!rwIndexPromise) {
+    rwIndexMeta = emptyRwIndexMeta();
+    notifyRetractionWatchIndexChange();
+
+    rwIndexPromise = Promise.resolve()
+      .then(() => rwIndexLoader())
+      .then(({ index, format, manifest, checkedAt, update }) => {
+        rwIndexMeta.loaded = true;
+        rwIndexMeta.size = index.size;
+        rwIndexMeta.format = format;
+        rwIndexMeta.error = null;
+        rwIndexMeta.manifest = manifest || null;
+        rwIndexMeta.checkedAt = checkedAt || null;
+        rwIndexMeta.update = update || null;
+        notifyRetractionWatchIndexChange();
+        return index;
+      })
+      .catch((err) => {
+        rwIndexMeta.loaded = false;
+        rwIndexMeta.size = 0;
+        rwIndexMeta.error = err.message || String(err);
+        notifyRetractionWatchIndexChange();
+        console.warn("Retraction Watch index could not be loaded:", err);
+        return new Map(); // fail soft
+      });
+  }
+  return rwIndexPromise;
+}
+
+// ==================== RETRACTION WATCH SNAPSHOT ====================
+
+// The page keeps the last published TSV it loaded, with its manifest, as one
+// IndexedDB record: { version, manifest, text, checkedAt }. On the next visit
+// only the manifest is downloaded; an older snapshot is brought up to date
+// with the delta files it lists, a current one is used as is, and without
+// network the snapshot is used as it stands. Deltas are checked against the
+// manifest's SHA-256; on any mismatch the whole TSV is downloaded instead.
+// Where no manifest is published, the index (TSV or plain DOI list) is kept
+// as an unversioned snapshot (version and manifest null) for offline use.
+
+const RW_SNAPSHOT_KEY = "rw-index:snapshot";
+
+async function readIndexSnapshot() {
+  const db = await openCacheDb();
+  if (!db) return null;
+  try {
+    const rec = await idbRequest(
+      db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(RW_SNAPSHOT_KEY)
+    );
+    return rec ? rec.value : null;
+  } catch (err) {
+    console.warn("Could not read the Retraction Watch snapshot:", err);
+    return null;
+  }
+}
+
+async function writeIndexSnapshot(snapshot) {
+  const db = await openCacheDb();
+  if (!db) return;
+  try {
+    await idbRequest(
+      db
+        .transaction(CACHE_STORE, "readwrite")
+        .objectStore(CACHE_STORE)
+        .put({ key: RW_SNAPSHOT_KEY, source: "rw-index", value: snapshot, storedAt: Date.now() })
+    );
+  } catch (err) {
+    console.warn("Could not store the Retraction Watch snapshot:", err);
+  }
+}
+
+// null when no manifest is published (the index is then loaded in full,
+// unversioned); throws when the network is down.
+async function fetchRetractionWatchManifest() {
+  const res = await fetch(RW_MANIFEST_URL, { cache: "no-cache" });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error("manifest HTTP " + res.status);
+  return res.json();
+}
+
+// Hex SHA-256 of the UTF-8 text; null where Web Crypto is unavailable
+async function sha256Hex(text) {
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Delta entries of `manifest` leading from `fromVersion` to the manifest's
+// version, in order; null when there is no such chain.
+function findDeltaChain(manifest, fromVersion) {
+  const deltas = manifest.deltas || [];
+  const chain = [];
+  let version = fromVersion;
+  while (version !== manifest.version) {
+    const step = deltas.find((d) => d.from === version);
+    if (!step || chain.length >= RW_MAX_DELTA_FILES) return null;
+    chain.push(step);
+    version = step.to;
+  }
+  return chain;
+}
+
+// The workflow writes the header, then the records sorted, one per line
+function splitIndexText(text) {
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return { header: lines.shift() || "", records: new Set(lines) };
+}
+
+function joinIndexText(header, records) {
+  return [header, ...Array.from(records).sort()].join("\n") + "\n";
+}
+
+// Applies the delta files from the snapshot's version to `manifest`.
+// Resolves to { text, update } or null when that is not possible.
+async function updateSnapshotFromDeltas(snapshot, manifest) {
+  const chain = findDeltaChain(manifest, snapshot.version);
+  if (!chain || !manifest.sha256) return null;
+
+  const { header, records } = splitIndexText(snapshot.text);
+  let added = 0;
+  let removed = 0;
+  for (const step of chain) {
+    const res = await fetch(RW_DATA_BASE_URL + step.path);
+    if (!res.ok) throw new Error(`delta ${step.path}: HTTP ${res.status}`);
+    const delta = await res.json();
+    delta.removed.forEach((line) => records.delete(line));
+    delta.added.forEach((line) => records.add(line));
+    added += delta.added.length;
+    removed += delta.removed.length;
+  }
+
+  const text = joinIndexText(header, records);
+  if ((await sha256Hex(text)) !== manifest.sha256) {
+    console.warn("Retraction Watch snapshot does not match the manifest after applying deltas");
+    return null;
+  }
+  return { text, update: { kind: "delta", deltaFiles: chain.length, added, removed } };
+}
+
+function indexFromSnapshot(snapshot, update) {
+  const { index, format } = parseRetractionWatchIndexText(snapshot.text);
+  return {
+    index,
+    format,
+    manifest: snapshot.manifest,
+    checkedAt: snapshot.checkedAt,
+    update,
+  };
+}
+
+// Default loader of the page
+async function loadRetractionWatchIndexWithSnapshot() {
+  const snapshot = await readIndexSnapshot();
+
+  let manifest;
+  try {
+    manifest = await fetchRetractionWatchManifest();
+  } catch (err) {
+    if (snapshot) {
+      console.warn("Retraction Watch manifest unavailable, using the local snapshot:", err);
+      return indexFromSnapshot(snapshot, { kind: "offline" });
+    }
+    throw err;
+  }
+  const checkedAt = Date.now();
+  if (!manifest) {
+    let text = "";
+    const loaded = await loadRetractionWatchIndex(async (url) => (text = await fetchIndexText(url)));
+    await writeIndexSnapshot({ version: null, manifest: null, text, checkedAt });
+    return { ...loaded, checkedAt };
+  }
+
+  if (snapshot && snapshot.version === manifest.version) {
+    const current = { ...snapshot, manifest, checkedAt };
+    await writeIndexSnapshot(current);
+    return indexFromSnapshot(current, { kind: "unchanged" });
+  }
+
+  let updated = null;
+  if (snapshot) {
+    try {
+      updated = await updateSnapshotFromDeltas(snapshot, manifest);
+    } catch (err) {
+      console.warn("Retraction Watch delta update failed, downloading the full index:", err);
+    }
+  }
+  if (!updated) {
+    updated = { text: await fetchIndexText(RW_INDEX_URL), update: { kind: "full" } };
+    const hash = await sha256Hex(updated.text);
+    if (hash && hash !== manifest.sha256) {
+      // Index and manifest from different deployments: use it unversioned
+      console.warn("Retraction Watch index does not match its manifest");
+      return {
+        index: parseRichRetractionWatchIndex(updated.text),
+        format: "rich",
+        manifest: null,
+        checkedAt,
+        update: updated.update,
+      };
+    }
+  }
+
+  const fresh = { version: manifest.version, manifest, text: updated.text, checkedAt };
+  await writeIndexSnapshot(fresh);
+  return indexFromSnapshot(fresh, updated.update);
+}
+
+// True when a manifest newer than the loaded index has been published
+async function isNewerRetractionWatchIndexPublished() {
+  try {
+    const manifest = await fetchRetractionWatchManifest();
+    if (!manifest) return false;
+    return !rwIndexMeta.manifest || rwIndexMeta.manifest.version !== manifest.version;
+  } catch (err) {
+    return false; // offline: keep what we have
+  }
+}
+
+// Retraction Watch "RetractionNature" → app status
+const RW_NATURE_STATUS = {
+  retraction: "retracted",
+  "expression of concern": "expression_of_concern",
+  correction: "corrected",
+  reinstatement: "ok",
+};
+
+function determineRetractionStatusFromRetractionWatch(records) {
+  // Legacy DOI list: presence is all we know
+  if (!records.length) {
+    return {
+      status: "retracted",
+      notes: "Retraction Watch index: DOI present.",
+      signal: "DOI present (DOI list only)",
+    };
+  }
+
+  let status = "ok";
+  let retractionDate = "";
+  const notes = [];
+  for (const r of records) {
+    const nature = r.nature || "Retraction";
+    const mapped = RW_NATURE_STATUS[nature.toLowerCase()] || "retracted";
+    status = pickMoreSevere(status, mapped);
+    if (mapped === "retracted") {
+      retractionDate = earliestDate(retractionDate, r.date);
+    }
+
+    let note = `Retraction Watch: ${nature}`;
+    if (r.date) note += ` (${r.date})`;
+    if (r.reasons.length) note += `; reasons: ${r.reasons.join("; ")}`;
+    if (r.noticeDoi) note += `; notice DOI: ${r.noticeDoi}`;
+    notes.push(note + ".");
+  }
+  return {
+    status,
+    notes: notes.join(" "),
+    signal: records.map((r) => r.nature || "Retraction").join("; "),
+    retractionDate,
+  };
+}
+
+// null when the DOI is not in the index (or the source is turned off);
+// otherwise { status, notes, records }
+async function getRetractionWatchInfoForDoi(doi) {
+  if (!isSourceEnabled("retraction_watch")) return null;
+  const key = normalizeDoi(doi);
+  const records = replaySource
+    ? replaySource.rwLookups[key]
+    : (await ensureRetractionWatchIndex()).get(key);
+  if (recording) recording.rwLookups[key] = records || null;
+  if (!records) return null;
+  return { ...determineRetractionStatusFromRetractionWatch(records), records };
+}
+
+// Flattened Retraction Watch fields for the CSV export
+function retractionWatchCsvFields(records) {
+  const list = records || [];
+  const join = (fn) => list.map(fn).filter(Boolean).join(" | ");
+  return [
+    join((r) => r.nature),
+    join((r) => r.date),
+    join((r) => r.reasons.join("; ")),
+    join((r) => r.noticeDoi),
+  ];
+}
+
+// ==================== OPENALEX ====================
+
+async function fetchOpenAlexWorkByDoi(doi) {
+  const normalized = normalizeDoi(doi) || doi.trim();
+  const { value } = await withCache("openalex", "doi:" + normalized, () =>
+    fetchOpenAlexWorkByDoiUncached(normalized)
+  );
+  return value;
+}
+
+async function fetchOpenAlexWorkByDoiUncached(normalized) {
+  let url =
+    "https://api.openalex.org/works/https://doi.org/" +
+    encodeURIComponent(normalized);
+
+  url += mailtoParam("?");
+
+  const res = await rateLimitedFetch(url);
+  if (res.status === 404) throw new Error("OpenAlex: DOI not found");
+  if (!res.ok) throw new Error("OpenAlex work HTTP " + res.status);
+  return res.json();
+}
+
+async function fetchOpenAlexWorkByPmid(pmid) {
+  return fetchOpenAlexWorkByExternalId("pmid", String(pmid).trim(), "PMID");
+}
+
+// `kind:id` lookups OpenAlex supports directly (pmid, mag, …)
+async function fetchOpenAlexWorkByExternalId(kind, id, label) {
+  const { value } = await withCache("openalex", kind + ":" + id, async () => {
+    let url = `https://api.openalex.org/works/${kind}:` + encodeURIComponent(id);
+    url += mailtoParam("?");
+    const res = await rateLimitedFetch(url);
+    if (res.status === 404) throw new Error(`OpenAlex: ${label} not found`);
+    if (!res.ok) throw new Error("OpenAlex work HTTP " + res.status);
+    return res.json();
+  });
+  return value;
+}
+
+// PMCID → { pmid, doi } through NCBI's ID converter (OpenAlex has no PMCID
+// lookup)
+async function convertPmcid(pmcid) {
+  const url =
+    "https://www.ncbi.nlm.nih.gov/pmc/utils/idconv/v1.0/?format=json&ids=" +
+    encodeURIComponent(pmcid) +
+    mailtoParam("&", "email");
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("NCBI ID converter HTTP " + res.status);
+  const json = await res.json();
+  const record = (json.records || [])[0];
+  if (!record || record.status === "error" || (!record.pmid && !record.doi)) {
+    throw new Error(`${pmcid} not found in PubMed Central`);
+  }
+  return { pmid: record.pmid || "", doi: record.doi || "" };
+}
+
+// Resolves any identifier from detectWorkIdentifier() (except a bare title)
+// to its OpenAlex work
+async function fetchOpenAlexWorkByIdentifier(id) {
+  switch (id.type) {
+    case "doi":
+      return fetchOpenAlexWorkByDoi(id.value);
+    case "pmid":
+      return fetchOpenAlexWorkByPmid(id.value);
+    case "pmcid": {
+      const { pmid, doi } = await convertPmcid(id.value);
+      return doi ? fetchOpenAlexWorkByDoi(doi) : fetchOpenAlexWorkByPmid(pmid);
+    }
+    case "arxiv":
+      // arXiv registers a DataCite DOI for every preprint
+      try {
+        return await fetchOpenAlexWorkByDoi(arxivDoi(id.value));
+      } catch (err) {
+        if (/not found/.test(err.message)) throw new Error("OpenAlex: arXiv ID not found");
+        throw err;
+      }
+    case "openalex":
+    case "title":
+      return fetchOpenAlexWorkById(id.value);
+    default:
+      throw new Error("Unsupported identifier: " + id.type);
+  }
+}
+
+// OpenAlex works whose title matches `query`, best match first (for the
+// candidate picker; not cached)
+async function searchOpenAlexWorksByTitle(query, limit = TITLE_SEARCH_RESULTS) {
+  let url =
+    "https://api.openalex.org/works?search=" +
+    encodeURIComponent(query.trim()) +
+    "&per-page=" +
+    limit +
+    "&select=id,doi,display_name,publication_year,authorships,primary_location";
+  url += mailtoParam("&");
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("OpenAlex search HTTP " + res.status);
+  const json = await res.json();
+  return (json.results || []).filter((w) => w && w.id);
+}
+
+async function fetchOpenAlexWorkById(openAlexId) {
+  const id = openAlexShortId(openAlexId);
+  const { value } = await withCache("openalex", id, async () => {
+    let url = "https://api.openalex.org/works/" + encodeURIComponent(id);
+    url += mailtoParam("?");
+    const res = await rateLimitedFetch(url);
+    if (!res.ok) throw new Error("OpenAlex ref HTTP " + res.status);
+    return res.json();
+  });
+  return value;
+}
+
+function openAlexShortId(openAlexId) {
+  return String(openAlexId || "").replace("https://openalex.org/", "");
+}
+
+// Resolves many OpenAlex IDs with `filter=openalex:…` (OPENALEX_BATCH_SIZE per
+// request). When a batch request fails, its IDs are looked up one by one.
+// Returns a Map of short ID → work; IDs still missing (merged works, failed
+// single lookups) are absent. A replay reads and writes no cache: the
+// batched URLs must be the recorded ones.
+async function fetchOpenAlexWorksByIds(openAlexIds) {
+  const works = new Map();
+  const ids = [];
+  for (const id of openAlexIds.map(openAlexShortId).filter(Boolean)) {
+    const hit = replaySource ? null : await cacheGet("openalex", id);
+    if (hit) works.set(id, hit.value);
+    else ids.push(id);
+  }
+
+  const chunks = [];
+  for (let start = 0; start < ids.length; start += OPENALEX_BATCH_SIZE) {
+    chunks.push(ids.slice(start, start + OPENALEX_BATCH_SIZE));
+  }
+
+  await Promise.all(
+    chunks.map(async (chunk) => {
+      let url =
+        "https://api.openalex.org/works?filter=openalex:" +
+        encodeURIComponent(chunk.join("|")) +
+        "&per-page=" +
+        chunk.length;
+      url += mailtoParam("&");
+      try {
+        const res = await rateLimitedFetch(url);
+        if (!res.ok) throw new Error("OpenAlex refs HTTP " + res.status);
+        const json = await res.json();
+        for (const w of json.results || []) {
+          if (!w || !w.id) continue;
+          works.set(openAlexShortId(w.id), w);
+          if (!replaySource) await cachePut("openalex", openAlexShortId(w.id), w);
+        }
+      } catch (err) {
+        console.warn("OpenAlex batch lookup failed; falling back to single lookups", err);
+        await Promise.all(
+          chunk.map(async (id) => {
+            try {
+              works.set(id, await fetchOpenAlexWorkById(id));
+            } catch (singleErr) {
+              console.warn("OpenAlex lookup failed for", id, singleErr);
+            }
+          })
+        );
+      }
+    })
+  );
+  return works;
+}
+
+function buildCitationFromOpenAlex(work) {
+  if (!work) return "";
+
+  const title = work.display_name || "";
+  const year = work.publication_year || "";
+  const venue = (work.host_venue && work.host_venue.display_name) || "";
+  const biblio = work.biblio || {};
+  const vol = biblio.volume || "";
+  const issue = biblio.issue || "";
+  const fp = biblio.first_page || "";
+  const lp = biblio.last_page || "";
+  const doi = work.doi || "";
+
+  // authors (first 3)
+  let authors = "";
+  if (Array.isArray(work.authorships) && work.authorships.length > 0) {
+    const names = work.authorships
+      .map((a) =>
+        a.author && a.author.display_name ? a.author.display_name : ""
+      )
+      .filter(Boolean);
+    if (names.length > 3) {
+      authors = names.slice(0, 3).join(", ") + " et al.";
+    } else {
+      authors = names.join(", ");
+    }
+  }
+
+  const parts = [];
+  if (authors) parts.push(authors + ".");
+  if (title) parts.push(title + ".");
+  if (venue) parts.push(venue);
+  const yearBits = [];
+  if (year) yearBits.push(year);
+  if (vol) yearBits.push(vol + (issue ? "(" + issue + ")" : ""));
+  if (fp || lp) {
+    let pages = fp || "";
+    if (lp) pages += "-" + lp;
+    yearBits.push("p. " + pages);
+  }
+  if (yearBits.length) parts.push(yearBits.join("; "));
+  if (doi) parts.push("DOI: " + normalizeDoi(doi));
+  return parts.join(" ");
+}
+
+// ==================== CROSSREF ====================
+
+async function fetchCrossrefForDoi(doi) {
+  const url =
+    "https://api.crossref.org/works/" + encodeURIComponent(doi.trim()) + mailtoParam("?");
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("Crossref HTTP " + res.status);
+  const json = await res.json();
+  return json.message || {};
+}
+
+function crossrefDateToIso(dateObj) {
+  const parts = dateObj && dateObj["date-parts"] && dateObj["date-parts"][0];
+  if (!parts || !parts[0]) return "";
+  return parts
+    .map((p, i) => (i === 0 ? String(p) : String(p).padStart(2, "0")))
+    .join("-");
+}
+
+function determineRetractionStatusFromCrossref(message) {
+  let status = "ok";
+  let retractionDate = "";
+  const notes = [];
+
+  // "update-to" on notices, "updated-by" on the works they update
+  const updateTo = [
+    ...(message["update-to"] || message["update_to"] || []),
+    ...(message["updated-by"] || []),
+  ];
+  const signals = [];
+  if (Array.isArray(updateTo) && updateTo.length > 0) {
+    for (const u of updateTo) {
+      const updateType = (u["update-type"] || u["update_type"] || u.type || "")
+        .toLowerCase();
+      signals.push("update: " + (updateType || "(untyped)"));
+      if (updateType.includes("retract")) {
+        status = pickMoreSevere(status, "retracted");
+        retractionDate = earliestDate(retractionDate, crossrefDateToIso(u.updated));
+        notes.push("Crossref: update-type = retraction.");
+      } else if (updateType.includes("expression")) {
+        status = pickMoreSevere(status, "expression_of_concern");
+        notes.push("Crossref: update-type = expression of concern.");
+      } else if (
+        updateType.includes("correction") ||
+        updateType.includes("erratum")
+      ) {
+        status = pickMoreSevere(status, "corrected");
+        notes.push("Crossref: update-type = correction/erratum.");
+      } else if (updateType.includes("withdraw")) {
+        status = pickMoreSevere(status, "withdrawn");
+        retractionDate = earliestDate(retractionDate, crossrefDateToIso(u.updated));
+        notes.push("Crossref: update-type = withdrawal.");
+      }
+    }
+  }
+
+  if (message.relation) {
+    const rel = message.relation;
+    Object.keys(rel)
+      .filter((k) => /retract|concern|correct|withdraw/i.test(k))
+      .forEach((k) => signals.push("relation: " + k));
+    if (rel["is-retracted-by"]) {
+      status = "retracted";
+      notes.push("Crossref relation: is-retracted-by.");
+    } else if (rel["has-retraction"]) {
+      status = "retracted";
+      notes.push("Crossref relation: has-retraction.");
+    }
+  }
+
+  if (status === "ok" && notes.length === 0) {
+    notes.push("Crossref: no retraction/correction signals.");
+  }
+
+  return {
+    status,
+    notes: notes.join(" "),
+    signal: signals.join("; ") || "no update metadata",
+    retractionDate,
+  };
+}
+
+// Reference list deposited with Crossref for `doi` ([] when the publisher
+// deposited none), as { source: "crossref", key, doi, title, author, year,
+// journal, unstructured } items
+async function getCrossrefReferences(doi) {
+  const { value } = await withCache("crossref", "refs:" + doi, async () => {
+    const message = await fetchCrossrefForDoi(doi);
+    return (message.reference || []).map((ref) => ({
+      source: "crossref",
+      key: ref.key || "",
+      doi: ref.DOI ? normalizeDoi(ref.DOI) : "",
+      title: ref["article-title"] || ref["volume-title"] || "",
+      author: ref.author || "",
+      year: ref.year || "",
+      journal: ref["journal-title"] || "",
+      unstructured: ref.unstructured || "",
+    }));
+  });
+  return value;
+}
+
+// Same shape as an OpenAlex work, for a Crossref reference OpenAlex does not know
+function crossrefReferenceToWork(ref) {
+  return {
+    id: "",
+    doi: ref.doi ? "https://doi.org/" + ref.doi : null,
+    display_name: ref.title || ref.unstructured || "(untitled Crossref reference)",
+    publication_year: ref.year || "",
+    is_retracted: false,
+    host_venue: ref.journal ? { display_name: ref.journal } : null,
+    authorships: ref.author ? [{ author: { display_name: ref.author } }] : [],
+    ids: {},
+  };
+}
+
+async function resolveCrossrefReferenceWork(ref) {
+  if (ref.doi) {
+    try {
+      return await fetchOpenAlexWorkByDoi(ref.doi);
+    } catch (err) {
+      console.warn("Crossref reference not found in OpenAlex", ref.doi, err);
+    }
+  }
+  return crossrefReferenceToWork(ref);
+}
+
+async function getCrossrefRetractionInfoForDoi(doi) {
+  if (!isSourceEnabled("crossref")) return disabledLookup();
+  try {
+    const { value, cachedAt } = await withCache("crossref", doi, async () =>
+      determineRetractionStatusFromCrossref(await fetchCrossrefForDoi(doi))
+    );
+    return { ...value, cachedAt };
+  } catch (err) {
+    console.warn("Crossref error for", doi, err);
+    return {
+      status: "unknown",
+      notes: "Crossref error: " + err.message,
+      error: err.message,
+    };
+  }
+}
+
+// ==================== PUBMED (E-Utilities) ====================
+
+// Without a key NCBI allows 3 requests/s instead of 10 (see HOST_LIMITS)
+function pubMedKeyParam() {
+  return settings.pubMedApiKey
+    ? `&api_key=${encodeURIComponent(settings.pubMedApiKey)}`
+    : "";
+}
+
+// 1) DOI → PMID
+async function fetchPubMedIdForDoi(doi) {
+  const term = `${doi.trim()}[DOI]`;
+  const url =
+    "https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi" +
+    `?db=pubmed&retmode=json&term=${encodeURIComponent(term)}` +
+    pubMedKeyParam();
+
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("PubMed esearch HTTP " + res.status);
+  const json = await res.json();
+  const ids = (json.esearchresult && json.esearchresult.idlist) || [];
+  if (!ids.length) return null;
+  return ids[0];
+}
+
+// 2) PMID → summary
+async function fetchPubMedSummaryForPmid(pmid) {
+  const url =
+    "https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi" +
+    `?db=pubmed&retmode=json&id=${encodeURIComponent(pmid)}` +
+    pubMedKeyParam();
+
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("PubMed esummary HTTP " + res.status);
+  const json = await res.json();
+  if (!json.result || !json.result[pmid]) {
+    throw new Error("PubMed esummary: missing result");
+  }
+  return json.result[pmid];
+}
+
+function determineRetractionStatusFromPubMedSummary(pmid, summary) {
+  const pubtypes = summary.pubtype || [];
+  const ptLower = pubtypes.map((p) => String(p).toLowerCase());
+  let status = "ok";
+  const notes = [];
+
+  for (const pt of ptLower) {
+    if (pt.includes("retracted publication")) {
+      status = "retracted";
+      notes.push("PubMed: publication type = Retracted Publication.");
+      break;
+    }
+    if (pt.includes("retraction of publication")) {
+      status = "retracted";
+      notes.push("PubMed: publication type = Retraction of Publication.");
+      break;
+    }
+    if (pt.includes("expression of concern")) {
+      status = "expression_of_concern";
+      notes.push("PubMed: publication type = Expression of Concern.");
+      break;
+    }
+    if (
+      pt.includes("erratum") ||
+      pt.includes("corrigendum") ||
+      pt.includes("correction")
+    ) {
+      if (status === "ok") status = "corrected";
+      notes.push("PubMed: publication type indicates correction/erratum.");
+    }
+  }
+
+  if (status === "ok" && notes.length === 0) {
+    notes.push("PubMed: no retraction-related publication types.");
+  }
+
+  // Linked retraction notice ("Retraction in: …"); its date is looked up
+  // separately by getPubMedRetractionInfoForDoi
+  const notice = (summary.references || []).find((r) =>
+    String(r.reftype || "").toLowerCase().startsWith("retraction in")
+  );
+
+  const noticePmid = notice && notice.pmid ? String(notice.pmid) : null;
+  const signals = pubtypes.map(String);
+  if (noticePmid) signals.push(`Retraction in PMID ${noticePmid}`);
+
+  return {
+    status,
+    notes: notes.join(" "),
+    signal: signals.join("; ") || "no publication types",
+    pmid,
+    noticePmid,
+    retractionDate: "",
+  };
+}
+
+// PubMed "sortpubdate" looks like "2021/03/31 00:00"
+function pubMedDateToIso(summary) {
+  const m = /^(\d{4})\/(\d{2})\/(\d{2})/.exec(summary.sortpubdate || "");
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  const y = /\b\d{4}\b/.exec(summary.pubdate || "");
+  return y ? y[0] : "";
+}
+
+async function getPubMedRetractionInfoForDoi(doi) {
+  if (!isSourceEnabled("pubmed")) return { ...disabledLookup(), pmid: null };
+  try {
+    const { value, cachedAt } = await withCache("pubmed", doi, async () => {
+      const pmid = await fetchPubMedIdForDoi(doi);
+      if (!pmid) {
+        return {
+          status: "ok",
+          notes: "PubMed: no record found for this DOI.",
+          signal: "",
+          noRecord: true,
+          pmid: null,
+        };
+      }
+      return fetchPubMedInfoForPmid(pmid);
+    });
+    return { ...value, cachedAt };
+  } catch (err) {
+    console.warn("PubMed error for", doi, err);
+    return {
+      status: "unknown",
+      notes: "PubMed error: " + err.message,
+      error: err.message,
+      pmid: null,
+    };
+  }
+}
+
+// Status of one PubMed record, with the date of its retraction notice and the
+// DOI it lists (if any)
+async function fetchPubMedInfoForPmid(pmid) {
+  const summary = await fetchPubMedSummaryForPmid(pmid);
+  const info = determineRetractionStatusFromPubMedSummary(pmid, summary);
+  if (info.noticePmid) {
+    try {
+      const notice = await fetchPubMedSummaryForPmid(info.noticePmid);
+      info.retractionDate = pubMedDateToIso(notice);
+    } catch (err) {
+      console.warn("PubMed: could not date retraction notice", info.noticePmid, err);
+    }
+  }
+  info.doi = pubMedSummaryDoi(summary);
+  return info;
+}
+
+// OpenAlex stores ids.pmid as a PubMed URL
+function workPmid(work) {
+  const raw = work && work.ids && work.ids.pmid;
+  const m = String(raw || "").match(/(\d+)\/?$/);
+  return m ? m[1] : "";
+}
+
+function pubMedSummaryDoi(summary) {
+  const id = (summary.articleids || []).find(
+    (a) => String(a.idtype || "").toLowerCase() === "doi"
+  );
+  return id ? normalizeDoi(id.value) : "";
+}
+
+// PubMed status (publication types, retraction notice date) and DOI of a
+// PMID, cached like the DOI lookups
+async function getPubMedRetractionInfoForPmid(pmid) {
+  if (!isSourceEnabled("pubmed")) return { ...disabledLookup(), pmid, doi: "" };
+  try {
+    const { value, cachedAt } = await withCache("pubmed", "pmid:" + pmid, () =>
+      fetchPubMedInfoForPmid(pmid)
+    );
+    return { ...value, cachedAt };
+  } catch (err) {
+    console.warn("PubMed error for PMID", pmid, err);
+    return {
+      status: "unknown",
+      notes: "PubMed error: " + err.message,
+      error: err.message,
+      pmid,
+      doi: "",
+    };
+  }
+}
+
+// ==================== COMBINED STATUS ====================
+
+// Stands in for the lookup of a source turned off in the settings
+function disabledLookup() {
+  return { status: "ok", notes: "", signal: "", disabled: true };
+}
+
+// OpenAlex's is_retracted as evidence: null when the work is not in OpenAlex
+// or OpenAlex is turned off in the settings
+function openAlexRetractedFlag(work) {
+  if (!work.id || !isSourceEnabled("openalex")) return null;
+  return !!work.is_retracted;
+}
+
+function pickMoreSevere(a, b) {
+  const sa = STATUS_SCORE[a] ?? 0;
+  const sb = STATUS_SCORE[b] ?? 0;
+  return sa >= sb ? a : b;
+}
+
+// Per-source evidence: { status, signal, error } for each key of
+// EVIDENCE_SOURCES. `status` is an app status, or "no_record" (source has
+// nothing on this DOI), "not_checked" (source unavailable) or "unknown"
+// (lookup failed, see `error`). `signal` is the raw value the status was
+// derived from (Crossref update types, PubMed publication types, …).
+const EVIDENCE_SOURCES = {
+  crossref: "Crossref",
+  pubmed: "PubMed",
+  retraction_watch: "Retraction Watch",
+  openalex: "OpenAlex",
+};
+
+function buildEvidence(cr, pm, rw, isRetractedOpenAlex) {
+  const turnedOff = { status: "not_checked", signal: "turned off in settings", error: null };
+  const fromLookup = (info) =>
+    info.disabled
+      ? turnedOff
+      : {
+          status: info.error ? "unknown" : info.noRecord ? "no_record" : info.status,
+          signal: info.signal || "",
+          error: info.error || null,
+        };
+
+  let rwEvidence;
+  if (!isSourceEnabled("retraction_watch")) {
+    rwEvidence = turnedOff;
+  } else if (rw) {
+    rwEvidence = { status: rw.status, signal: rw.signal, error: null };
+  } else if (rwIndexState().loaded) {
+    rwEvidence = { status: "no_record", signal: "not in index", error: null };
+  } else {
+    rwEvidence = {
+      status: "not_checked",
+      signal: "",
+      error: rwIndexState().error || "index not loaded",
+    };
+  }
+
+  return {
+    crossref: fromLookup(cr),
+    pubmed: fromLookup(pm),
+    retraction_watch: rwEvidence,
+    openalex: !isSourceEnabled("openalex")
+      ? turnedOff
+      : isRetractedOpenAlex == null
+        ? { status: "not_checked", signal: "not in OpenAlex", error: null }
+        : {
+            status: isRetractedOpenAlex ? "retracted" : "ok",
+            signal: "is_retracted = " + isRetractedOpenAlex,
+            error: null,
+          },
+  };
+}
+
+// True when at least one source flags the work as retracted/EoC/withdrawn
+// while another source that did check it does not.
+function evidenceDisagrees(evidence) {
+  if (!evidence) return false;
+  const verdicts = Object.values(evidence)
+    .filter((e) => !e.error && STATUS_SCORE[e.status] !== undefined)
+    .map((e) => isRetractedLikeStatus(e.status));
+  return verdicts.includes(true) && verdicts.includes(false);
+}
+
+// `lookup` tells whether the Crossref/PubMed verdicts came from the local
+// cache ("cache"), the network ("fresh") or both ("mixed").
+// `isRetractedOpenAlex` is null when the work is not in OpenAlex.
+async function getCombinedRetractionInfoForDoi(rawDoi, isRetractedOpenAlex) {
+  // Canonical form ("10.x/…") for API calls and cache keys
+  const doi = normalizeDoi(rawDoi) || String(rawDoi).trim();
+  const [cr, pm, rw] = await Promise.all([
+    getCrossrefRetractionInfoForDoi(doi),
+    getPubMedRetractionInfoForDoi(doi),
+    getRetractionWatchInfoForDoi(doi),
+  ]);
+
+  let status = pickMoreSevere(cr.status, pm.status);
+  let notes = [cr.notes, pm.notes].filter(Boolean);
+
+  if (rw) {
+    status = pickMoreSevere(status, rw.status);
+    notes.push(rw.notes);
+  }
+
+  if (isRetractedOpenAlex) {
+    status = pickMoreSevere(status, "retracted");
+    notes.push("OpenAlex: is_retracted = true.");
+  }
+
+  if (pm.pmid) notes.push(`PubMed PMID: ${pm.pmid}.`);
+
+  // Earliest retraction/withdrawal date reported by any source
+  let retractionDate = "";
+  let retractionDateSource = "";
+  for (const [label, info] of [
+    ["Crossref", cr],
+    ["PubMed", pm],
+    ["Retraction Watch", rw],
+  ]) {
+    const d = info && info.retractionDate;
+    if (d && (!retractionDate || d < retractionDate)) {
+      retractionDate = d;
+      retractionDateSource = label;
+    }
+  }
+
+  const cachedAts = [cr, pm].filter((info) => !info.disabled).map((info) => info.cachedAt);
+  const lookup = !cachedAts.length
+    ? "fresh"
+    : cachedAts.every(Boolean)
+    ? "cache"
+    : cachedAts.some(Boolean)
+    ? "mixed"
+    : "fresh";
+  const hits = cachedAts.filter(Boolean);
+  const cachedAt = hits.length ? Math.min(...hits) : null;
+
+  return {
+    status,
+    notes: notes.join(" "),
+    lookup,
+    cachedAt,
+    rwRecords: rw ? rw.records : null,
+    rwIndexVersion: rwIndexState().manifest ? rwIndexState().manifest.version : "",
+    retractionDate,
+    retractionDateSource,
+    evidence: buildEvidence(cr, pm, rw, isRetractedOpenAlex),
+  };
+}
+
+// ==================== DOI-LESS REFERENCES ====================
+
+// A reference without a DOI is matched to one before giving up: first through
+// its PMID (OpenAlex ids.pmid → PubMed record, whose publication types are
+// checked as well), then through a Crossref bibliographic query on title,
+// first author and year. Each match carries a confidence in [0, 1].
+
+// Lower-case words of a title, without punctuation
+function titleWords(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/<[^>]+>/g, " ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Dice coefficient of the two titles' word sets
+function titleSimilarity(a, b) {
+  const wa = new Set(titleWords(a));
+  const wb = new Set(titleWords(b));
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach((w) => {
+    if (wb.has(w)) shared++;
+  });
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+function firstAuthorFamilyName(work) {
+  const first = (work.authorships || [])[0];
+  const name = first && first.author && first.author.display_name;
+  if (!name) return "";
+  // "Family, Given" (bibliographies) or "Given Family" (OpenAlex)
+  const family = name.includes(",") ? name.split(",")[0] : name.trim().split(/\s+/).pop();
+  return titleWords(family).join(" ");
+}
+
+// Confidence that Crossref `item` is `work`: title similarity weighs 60 %,
+// year and first author 20 % each (half when either side lacks them)
+function scoreBibliographicMatch(work, item) {
+  const titleScore = titleSimilarity(work.display_name, (item.title || [])[0]);
+
+  const itemYear =
+    item.issued && item.issued["date-parts"] && item.issued["date-parts"][0]
+      ? item.issued["date-parts"][0][0]
+      : null;
+  const year = parseInt(work.publication_year, 10);
+  let yearScore = 0.5;
+  if (itemYear && year) {
+    const diff = Math.abs(itemYear - year);
+    yearScore = diff === 0 ? 1 : diff === 1 ? 0.5 : 0;
+  }
+
+  const family = firstAuthorFamilyName(work);
+  const itemFamilies = (item.author || []).map((a) => titleWords(a.family).join(" "));
+  let authorScore = 0.5;
+  if (family && itemFamilies.length) authorScore = itemFamilies.includes(family) ? 1 : 0;
+
+  return Math.round((0.6 * titleScore + 0.2 * yearScore + 0.2 * authorScore) * 100) / 100;
+}
+
+// Best Crossref match for a work without a DOI: { doi, confidence } or null.
+// Not cached; only called for references that have no DOI.
+async function findCrossrefDoiForWork(work) {
+  if (!isSourceEnabled("crossref") || titleWords(work.display_name).length < 3) return null;
+  const query = [work.display_name, firstAuthorFamilyName(work), work.publication_year]
+    .filter(Boolean)
+    .join(" ");
+  const url =
+    "https://api.crossref.org/works?query.bibliographic=" +
+    encodeURIComponent(query) +
+    `&rows=${CROSSREF_MATCH_ROWS}&select=DOI,title,author,issued` +
+    mailtoParam("&");
+
+  const res = await rateLimitedFetch(url);
+  if (!res.ok) throw new Error("Crossref query HTTP " + res.status);
+  const json = await res.json();
+  let best = null;
+  for (const item of (json.message && json.message.items) || []) {
+    if (!item.DOI) continue;
+    const confidence = scoreBibliographicMatch(work, item);
+    if (!best || confidence > best.confidence) {
+      best = { doi: normalizeDoi(item.DOI), confidence };
+    }
+  }
+  return best;
+}
+
+// Classifies a work without a DOI: DOI found via its PMID or Crossref →
+// checked as usual; PMID only → PubMed publication types (+ OpenAlex flag);
+// nothing → problem_no_doi. Matches are reported in ref.doiMatch
+// ({ source: "pubmed" | "crossref", confidence }).
+async function classifyReferenceWithoutDoi(idx, work, base) {
+  const notes = [];
+  const pmid = workPmid(work);
+  let pm = null;
+
+  if (pmid && isSourceEnabled("pubmed")) {
+    pm = await getPubMedRetractionInfoForPmid(pmid);
+    if (pm.doi) {
+      return classifyMatchedDoi(idx, work, pm.doi, {
+        source: "pubmed",
+        confidence: 1,
+        note: `DOI ${pm.doi} taken from the PubMed record of PMID ${pmid}.`,
+      });
+    }
+  }
+
+  try {
+    const match = await findCrossrefDoiForWork(work);
+    if (match && match.confidence >= DOI_MATCH_MIN_CONFIDENCE) {
+      const ref = await classifyMatchedDoi(idx, work, match.doi, {
+        source: "crossref",
+        confidence: match.confidence,
+        note: `DOI ${match.doi} matched by a Crossref bibliographic query (confidence ${match.confidence.toFixed(2)}); please verify.`,
+      });
+      return pm ? withPubMedRecord(ref, pm) : ref;
+    }
+    if (match) {
+      notes.push(
+        `Closest Crossref match ${match.doi} not used (confidence ${match.confidence.toFixed(2)}).`
+      );
+    }
+  } catch (err) {
+    console.warn("Crossref bibliographic query failed for", work.display_name, err);
+    notes.push("Crossref bibliographic query failed: " + err.message + ".");
+  }
+
+  if (!pm) {
+    return {
+      ...base,
+      status: "problem_no_doi",
+      notes: ["No DOI available; cannot check Crossref/PubMed/Retraction Watch.", ...notes].join(" "),
+    };
+  }
+
+  // PMID only: PubMed and OpenAlex can still be checked
+  const isRetractedOpenAlex = openAlexRetractedFlag(work);
+  let status = pm.error ? "problem_unknown" : pm.status;
+  if (isRetractedOpenAlex) status = pickMoreSevere(status, "retracted");
+  if (!STATUS_SCORE[status]) status = "ok";
+  const evidence = buildEvidence(
+    { status: "not_checked", signal: "no DOI" },
+    pm,
+    null,
+    isRetractedOpenAlex
+  );
+  evidence.retraction_watch = { status: "not_checked", signal: "no DOI", error: null };
+
+  return {
+    ...base,
+    pmid,
+    status,
+    notes: [
+      `No DOI; checked through PMID ${pmid} in PubMed only.`,
+      pm.notes,
+      isRetractedOpenAlex ? "OpenAlex: is_retracted = true." : "",
+      ...notes,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    lookup: pm.cachedAt ? "cache" : "fresh",
+    cachedAt: pm.cachedAt || null,
+    retractionDate: pm.retractionDate || "",
+    retractionDateSource: pm.retractionDate ? "PubMed" : "",
+    evidence,
+  };
+}
+
+// The PMID's own PubMed record counts when the matched DOI is not in PubMed
+function withPubMedRecord(ref, pm) {
+  if (pm.error) return ref;
+  const status = pickMoreSevere(ref.status, pm.status);
+  const earlier =
+    pm.retractionDate && (!ref.retractionDate || pm.retractionDate < ref.retractionDate);
+  return {
+    ...ref,
+    pmid: pm.pmid,
+    status: STATUS_SCORE[status] ? status : ref.status,
+    notes: `${ref.notes} PMID ${pm.pmid}: ${pm.notes}`,
+    retractionDate: earlier ? pm.retractionDate : ref.retractionDate,
+    retractionDateSource: earlier ? "PubMed" : ref.retractionDateSource,
+    evidence: {
+      ...ref.evidence,
+      pubmed: { status: pm.status, signal: pm.signal || "", error: null },
+    },
+  };
+}
+
+async function classifyMatchedDoi(idx, work, doi, match) {
+  const ref = await classifyReferenceFromWork(idx, { ...work, doi: "https://doi.org/" + doi });
+  return {
+    ...ref,
+    notes: match.note + " " + ref.notes,
+    doiMatch: { source: match.source, confidence: match.confidence },
+  };
+}
+
+// ==================== REFERENCE CLASSIFIERS ====================
+
+function classifyReferenceError(idx, openAlexId, errorMessage) {
+  const shortId = (openAlexId || "").replace("https://openalex.org/", "");
+  return {
+    idx,
+    title: `Reference unavailable in OpenAlex (ID: ${shortId})`,
+    year: "",
+    doi: null,
+    openAlexId,
+    status: "problem_unknown",
+    notes:
+      "Error fetching OpenAlex work for this reference: " +
+      (errorMessage || "unknown error"),
+    citation: "",
+  };
+}
+
+async function classifyReferenceFromWork(idx, work) {
+  const refDoi = work.doi || null;
+  const citation = buildCitationFromOpenAlex(work);
+  const year = work.publication_year || "";
+  const title = work.display_name || "";
+  const openAlexId = work.id || "";
+
+  if (!refDoi) {
+    return classifyReferenceWithoutDoi(idx, work, {
+      idx,
+      title,
+      year,
+      doi: null,
+      openAlexId,
+      citation,
+    });
+  }
+
+  // Bibliography entries unknown to OpenAlex have no OpenAlex ID
+  const retInfo = await getCombinedRetractionInfoForDoi(refDoi, openAlexRetractedFlag(work));
+  let status = retInfo.status;
+
+  if (!STATUS_SCORE[status]) status = "ok";
+
+  return {
+    idx,
+    title,
+    year,
+    doi: refDoi,
+    openAlexId,
+    status,
+    notes: retInfo.notes,
+    citation,
+    lookup: retInfo.lookup,
+    cachedAt: retInfo.cachedAt,
+    rwRecords: retInfo.rwRecords,
+    rwIndexVersion: retInfo.rwIndexVersion,
+    retractionDate: retInfo.retractionDate,
+    retractionDateSource: retInfo.retractionDateSource,
+    evidence: retInfo.evidence,
+  };
+}
+
+// ==================== ANALYSIS ====================
+
+function normalizeDoiInput(raw) {
+  if (!raw) return "";
+  const trimmed = raw.trim();
+
+  if (trimmed.startsWith("http://") || trimmed.startsWith("https://")) {
+    const parts = trimmed.split("doi.org/");
+    if (parts.length > 1) return normalizeDoi(parts[1]);
+  }
+
+  const idx = trimmed.indexOf("10.");
+  if (idx >= 0) return normalizeDoi(trimmed.slice(idx));
+
+  return normalizeDoi(trimmed);
+}
+
+// Identifier types accepted for the focal article, with their display names
+const WORK_ID_LABELS = {
+  doi: "DOI",
+  pmid: "PMID",
+  pmcid: "PMCID",
+  arxiv: "arXiv ID",
+  openalex: "OpenAlex ID",
+  title: "Title search",
+};
+
+// Recognises what the user typed: a DOI (bare, doi: or doi.org URL), a PMID
+// (digits, "PMID: …" or a PubMed URL), a PMCID, an arXiv ID (new or old
+// style, arxiv.org URLs too) or an OpenAlex W-ID. Anything else is treated
+// as a title to search for. Returns { type, value } (see WORK_ID_LABELS), or
+// null for an empty input.
+function detectWorkIdentifier(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return null;
+  let m;
+
+  if (/10\.\d{4,}\//.test(text)) return { type: "doi", value: normalizeDoiInput(text) };
+  if ((m = text.match(/^(?:https?:\/\/(?:api\.)?openalex\.org\/(?:works\/)?)?(W\d+)$/i))) {
+    return { type: "openalex", value: m[1].toUpperCase() };
+  }
+  if ((m = text.match(/^(?:pmcid:?\s*|\S*ncbi\.nlm\.nih\.gov\/pmc\/articles\/)?(PMC\d+)\/?$/i))) {
+    return { type: "pmcid", value: m[1].toUpperCase() };
+  }
+  if ((m = text.match(/^(?:pmid:?\s*|\S*pubmed\.ncbi\.nlm\.nih\.gov\/)?(\d{1,9})\/?$/i))) {
+    return { type: "pmid", value: m[1] };
+  }
+  if (
+    (m = text.match(
+      /^(?:arxiv:\s*|\S*arxiv\.org\/(?:abs|pdf)\/)?(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?(?:\.pdf)?$/i
+    ))
+  ) {
+    return { type: "arxiv", value: m[1] };
+  }
+  return { type: "title", value: text };
+}
+
+// Canonical text form of an identifier, read back by detectWorkIdentifier()
+// (used for links and as the key of a focal article without a DOI)
+function formatWorkIdentifier(id) {
+  switch (id.type) {
+    case "pmid":
+      return "pmid:" + id.value;
+    case "arxiv":
+      return "arxiv:" + id.value;
+    default:
+      return id.value;
+  }
+}
+
+// DataCite DOI of an arXiv preprint (version suffix dropped)
+function arxivDoi(arxivId) {
+  return "10.48550/arxiv." + String(arxivId).toLowerCase();
+}
+
+function isRetractedLikeStatus(status) {
+  return (
+    status === "retracted" ||
+    status === "expression_of_concern" ||
+    status === "withdrawn"
+  );
+}
+
+// Compares two ISO dates ("2020", "2020-05" or "2020-05-14") at the precision
+// of the less precise one: -1 when a is earlier, 1 when later, 0 when they
+// fall in the same year/month/day and cannot be ordered.
+function compareIsoDates(a, b) {
+  const len = Math.min(String(a).length, String(b).length);
+  const x = String(a).slice(0, len);
+  const y = String(b).slice(0, len);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// "before_citation" when a retracted/withdrawn reference was retracted before
+// the citing work was published, "after_citation" when after, "same_period"
+// when the dates cannot be ordered (e.g. retraction "2020" vs citing
+// "2020-06-15"), "" when either date is unknown.
+function retractionTiming(ref, citingDate) {
+  if (!citingDate || !ref.retractionDate) return "";
+  if (ref.status !== "retracted" && ref.status !== "withdrawn") return "";
+  const order = compareIsoDates(ref.retractionDate, citingDate);
+  return order < 0 ? "before_citation" : order > 0 ? "after_citation" : "same_period";
+}
+
+function summarizeRefs(allRefs, citingDate) {
+  const counts = {
+    total: allRefs.length,
+    retracted: 0,
+    expression_of_concern: 0,
+    withdrawn: 0,
+    corrected: 0,
+    problem_no_doi: 0,
+    problem_unknown: 0,
+    ok: 0,
+    before_citation: 0,
+    after_citation: 0,
+    same_period: 0,
+  };
+
+  allRefs.forEach((r) => {
+    if (counts[r.status] !== undefined) counts[r.status]++;
+    else counts.ok++;
+
+    r.retractionTiming = retractionTiming(r, citingDate);
+    if (r.retractionTiming) counts[r.retractionTiming]++;
+  });
+
+  // Only set when a second-order pass ran, so its pill stays hidden otherwise
+  counts.second_order = allRefs.some((r) => r.secondOrder)
+    ? allRefs.filter(citesRetractedWork).length
+    : null;
+
+  const interesting = allRefs.filter(
+    // only show retracted/problematic, plus refs citing retracted work
+    (r) => r.status !== "ok" || citesRetractedWork(r)
+  );
+  interesting.sort(compareBySeverity);
+
+  return { counts, interesting };
+}
+
+// Union of the OpenAlex reference list (OpenAlex IDs, kept first and in
+// order) and the Crossref one, de-duplicated by DOI: Crossref entries whose
+// DOI is not among the OpenAlex works are appended. Crossref entries without
+// a DOI cannot be matched, so they are only added when OpenAlex lists no
+// references at all. Returns { items, works (resolved OpenAlex references),
+// coverage }.
+async function mergeReferenceLists(openAlexIds, doi) {
+  let crossrefRefs = [];
+  let crossrefError = !doi
+    ? "no DOI"
+    : !isSourceEnabled("crossref")
+    ? "turned off in settings"
+    : "";
+  if (!crossrefError) {
+    try {
+      crossrefRefs = await getCrossrefReferences(normalizeDoi(doi));
+    } catch (err) {
+      console.warn("Crossref reference list unavailable for", doi, err);
+      crossrefError = err.message || String(err);
+    }
+  }
+
+  const works = await fetchOpenAlexWorksByIds(openAlexIds);
+  const openAlexDois = new Set();
+  works.forEach((w) => {
+    if (w.doi) openAlexDois.add(normalizeDoi(w.doi));
+  });
+  // A Crossref DOI missing from the set may belong to an OpenAlex reference
+  // that could not be fetched; only merge when every reference resolved.
+  const openalexUnresolved = openAlexIds.filter((id) => !works.has(openAlexShortId(id))).length;
+
+  const seen = new Set();
+  const crossrefOnly = [];
+  const withoutDoi = [];
+  let both = 0;
+  crossrefRefs.forEach((ref) => {
+    if (!ref.doi) {
+      withoutDoi.push(ref);
+    } else if (!seen.has(ref.doi)) {
+      seen.add(ref.doi);
+      if (openAlexDois.has(ref.doi)) both++;
+      else crossrefOnly.push(ref);
+    }
+  });
+  if (!openAlexIds.length) crossrefOnly.push(...withoutDoi);
+  if (openalexUnresolved && crossrefRefs.length) {
+    console.warn(`${openalexUnresolved} OpenAlex references unresolved; Crossref list not merged for`, doi);
+    crossrefOnly.length = 0;
+    both = 0;
+  }
+
+  return {
+    items: [...openAlexIds, ...crossrefOnly],
+    works,
+    coverage: {
+      openalex: openAlexIds.length,
+      crossref: crossrefRefs.length,
+      both,
+      openalexOnly: Math.max(0, openAlexIds.length - both),
+      crossrefOnly: crossrefOnly.length,
+      crossrefUnmerged: openAlexIds.length ? withoutDoi.length : 0,
+      crossrefError,
+      openalexUnresolved,
+    },
+  };
+}
+
+// Reference coverage per source, for the metadata panel and the CLI
+function describeReferenceCoverage(c) {
+  if (c.crossrefError) {
+    return `${c.openalex} from OpenAlex only (Crossref reference list unavailable: ${c.crossrefError})`;
+  }
+  if (!c.crossref) {
+    return `${c.openalex} from OpenAlex (no reference list deposited in Crossref)`;
+  }
+  if (c.openalexUnresolved) {
+    return `${c.openalex} from OpenAlex only (${c.openalexUnresolved} could not be fetched, so the ${c.crossref} Crossref entries were not merged)`;
+  }
+  let text = `${c.both} in both, ${c.openalexOnly} OpenAlex only, ${c.crossrefOnly} Crossref only`;
+  if (c.crossrefUnmerged) {
+    text += ` (${c.crossrefUnmerged} Crossref entries without DOI not merged)`;
+  }
+  return text;
+}
+
+// Status of a focal work without a DOI: only OpenAlex's flag can be checked
+function mainInfoWithoutDoi(work) {
+  const checked = isSourceEnabled("openalex");
+  return {
+    status: checked && work.is_retracted ? "retracted" : "problem_no_doi",
+    notes: checked
+      ? "No DOI available; only OpenAlex is_retracted was checked."
+      : "No DOI available; nothing could be checked (OpenAlex is turned off in the settings).",
+    lookup: "fresh",
+    cachedAt: null,
+    rwRecords: null,
+    rwIndexVersion: "",
+    retractionDate: "",
+    retractionDateSource: "",
+    evidence: null,
+  };
+}
+
+// Checks every item that has no result yet in `results` (a sparse array
+// indexed like `items` and filled in place) with classify(item, i), which
+// resolves to a reference row. Resolves to null once every item is checked,
+// or to { reason: "paused" | "cancelled" | "error", message, checked, total }
+// when the run stopped early (an error in classify, or the connection going
+// away). Rows that finish after a stop are dropped, so a resumed run checks
+// them again.
+async function checkRemainingRefs(items, results, classify, hooks = {}, noun = "references") {
+  const onStatus = hooks.onStatus || (() => {});
+  const onRefsStart = hooks.onRefsStart || (() => {});
+  const onRefDone = hooks.onRefDone || (() => {});
+
+  const todo = [];
+  items.forEach((item, i) => {
+    if (!results[i]) todo.push(i);
+  });
+  let done = items.length - todo.length;
+  let failure = null;
+  onRefsStart(items.length, done);
+
+  await mapWithConcurrency(todo, REF_CONCURRENCY, async (i) => {
+    if (failure) return;
+    try {
+      const online = !isOffline();
+      const refObj = await classify(items[i], i);
+      if (isRunStopped()) return;
+      // Connection lost part-way: its lookups failed, so leave it for the resume
+      if (online && isOffline()) throw new Error("connection lost");
+      // Settings in effect when this row was checked (a resumed run may differ)
+      refObj.settings = describeSettings();
+      results[i] = refObj;
+
+      done++;
+      onRefDone(done, items.length);
+      if (done % 10 === 0) {
+        onStatus(`Checked ${done}/${items.length} ${noun}… still working.`);
+      }
+    } catch (err) {
+      failure = failure || err;
+    }
+  });
+
+  const checked = results.filter(Boolean).length;
+  if (failure) {
+    console.warn("Reference checks stopped by an error:", failure);
+    return {
+      reason: "error",
+      message: failure.message || String(failure),
+      checked,
+      total: items.length,
+    };
+  }
+  if (isRunStopped()) {
+    return { reason: runStopReason(), message: "", checked, total: items.length };
+  }
+  return null;
+}
+
+// Runs the whole pipeline (OpenAlex → Crossref/PubMed/Retraction Watch) for
+// one focal article without touching the results table, so single and batch
+// mode share it. `input` is a DOI or any identifier detectWorkIdentifier()
+// recognises except a title, or an identifier object ({ type, value }; a
+// picked title search result is { type: "title", value: OpenAlex ID, query }).
+// Progress is reported through the optional hooks:
+//   onStatus(message), onArticle(article), onRefsStart(total, alreadyDone),
+//   onRefDone(done, total)
+// A paused, cancelled or failed run still resolves with the references
+// checked so far and article.stopped set; passing that article back as
+// `previous` checks only the remaining references.
+async function checkArticle(input, hooks = {}, previous = null) {
+  const onStatus = hooks.onStatus || (() => {});
+  const onArticle = hooks.onArticle || (() => {});
+
+  let article = previous;
+  let refWorks = null;
+  if (article) {
+    article.stopped = null;
+    onArticle(article);
+  } else {
+    const id = typeof input === "string" ? detectWorkIdentifier(input) : input;
+    if (!id || (id.type === "title" && typeof input === "string")) {
+      throw new Error(`Not a DOI, PMID, PMCID, arXiv or OpenAlex ID: ${input}`);
+    }
+    onStatus(`Resolving ${WORK_ID_LABELS[id.type]} via OpenAlex…`);
+
+    // 1) Main article
+    const work = await fetchOpenAlexWorkByIdentifier(id);
+    const workDoi = work.doi || (id.type === "doi" ? id.value : "");
+    article = {
+      // Key of the article (links, batch, watchlist): its DOI when it has one
+      doi:
+        id.type === "doi"
+          ? id.value
+          : workDoi
+          ? normalizeDoi(workDoi)
+          : formatWorkIdentifier(id),
+      identifier: id,
+      title: work.display_name || "(no title)",
+      year: work.publication_year || "",
+      workDoi,
+      citingDate: work.publication_date || String(work.publication_year || ""),
+      refIds: [],
+      coverage: null,
+      mainInfo: null,
+      allRefs: [],
+      counts: null,
+      interesting: [],
+      // Kept for resuming: the focal work and the per-reference progress
+      work,
+      refResults: [],
+      worksByIdx: [],
+      stopped: null,
+    };
+    onArticle(article);
+
+    // Combined retraction status for main article
+    onStatus("Checking retraction status of the main article…");
+    article.mainInfo = workDoi
+      ? await getCombinedRetractionInfoForDoi(workDoi, openAlexRetractedFlag(work))
+      : mainInfoWithoutDoi(work);
+    // Its lookups may have been cut short, so there is nothing to keep yet
+    if (isRunStopped()) throw runStoppedError();
+    onArticle(article);
+
+    // 2) Reference list: OpenAlex's, completed from the Crossref deposit
+    onStatus("Collecting the reference lists of OpenAlex and Crossref…");
+    const merged = await mergeReferenceLists(work.referenced_works || [], workDoi);
+    if (isRunStopped()) throw runStoppedError();
+    article.refIds = merged.items;
+    article.coverage = merged.coverage;
+    refWorks = merged.works;
+    onArticle(article);
+  }
+
+  const refIds = article.refIds;
+  if (!refIds.length) {
+    article.counts = summarizeRefs([]).counts;
+    return article;
+  }
+
+  const left = refIds.filter((id, i) => !article.refResults[i]);
+  onStatus(
+    left.length < refIds.length
+      ? `Resuming: ${left.length} of ${refIds.length} referenced works left. Resolving them in OpenAlex…`
+      : `Found ${refIds.length} referenced works. Resolving them in OpenAlex…`
+  );
+
+  // 3) References: batched OpenAlex lookups (Crossref-only entries are
+  // objects), then bounded-concurrency checks
+  if (!refWorks) {
+    refWorks = await fetchOpenAlexWorksByIds(left.filter((id) => typeof id === "string"));
+  }
+
+  onStatus(
+    `Found ${refIds.length} referenced works. Checking retractions via Crossref/PubMed/Retraction Watch…`
+  );
+
+  const worksByIdx = article.worksByIdx;
+  article.stopped = await checkRemainingRefs(
+    refIds,
+    article.refResults,
+    async (refId, i) => {
+      const idx = i + 1;
+      try {
+        if (typeof refId !== "string") {
+          const refWork = await resolveCrossrefReferenceWork(refId);
+          worksByIdx[i] = refWork;
+          const refObj = await classifyReferenceFromWork(idx, refWork);
+          if (!refObj.citation) refObj.citation = refId.unstructured;
+          return refObj;
+        }
+        const refWork =
+          refWorks.get(openAlexShortId(refId)) ||
+          (await fetchOpenAlexWorkById(refId));
+        worksByIdx[i] = refWork;
+        return await classifyReferenceFromWork(idx, refWork);
+      } catch (err) {
+        console.warn("Error fetching reference", refId, err);
+        const id = typeof refId === "string" ? refId : refId.doi;
+        return classifyReferenceError(idx, id, err.message || "fetch error");
+      }
+    },
+    hooks
+  );
+  const allRefs = article.refResults.filter(Boolean);
+
+  // 4) Optional second-order pass over the works cited by the references
+  if (secondOrderOptions && !article.stopped) {
+    article.secondOrder = await screenSecondOrder(
+      article.work,
+      allRefs,
+      worksByIdx,
+      secondOrderOptions.maxLookups,
+      hooks
+    );
+    if (!article.secondOrder) {
+      article.stopped = {
+        reason: runStopReason(),
+        message: "",
+        checked: allRefs.length,
+        total: refIds.length,
+      };
+    }
+  }
+
+  // 5) Aggregate counts & select interesting refs (partial when stopped)
+  const summary = summarizeRefs(allRefs, article.citingDate);
+  article.allRefs = allRefs;
+  article.counts = summary.counts;
+  article.interesting = summary.interesting;
+  return article;
+}
+
+function describeCounts(counts) {
+  const totalRetLike =
+    counts.retracted + counts.expression_of_concern + counts.withdrawn;
+  const totalProblem = counts.problem_no_doi + counts.problem_unknown;
+  const secondOrder =
+    counts.second_order != null
+      ? ` Second order: ${counts.second_order} references cite retracted/EoC/withdrawn work.`
+      : "";
+
+  if (totalRetLike > 0) {
+    const before = counts.before_citation
+      ? ` (${counts.before_citation} already retracted when cited)`
+      : "";
+    return `Found ${totalRetLike} retracted/EoC/withdrawn references${before}; ${totalProblem} problematic (no DOI / unknown) among ${counts.total} total.${secondOrder}`;
+  }
+  return `No retracted or EoC/withdrawn references detected via Crossref/PubMed/Retraction Watch among ${counts.total} total. ${totalProblem} references are problematic (no DOI / unknown).${secondOrder}`;
+}
+
+// Pulls every DOI-looking token out of pasted text or an uploaded file
+// (one per line, CSV columns, doi.org URLs…), de-duplicated, in order.
+function extractDoisFromText(text) {
+  const seen = new Set();
+  const dois = [];
+  const matches = String(text || "").match(/10\.\d{4,9}\/[^\s,;"'<>]+/g) || [];
+  for (const m of matches) {
+    let token = m.replace(/[.,\]}]+$/, "");
+    // Keep a closing parenthesis only when the DOI itself opened one
+    while (
+      token.endsWith(")") &&
+      (token.match(/\(/g) || []).length < (token.match(/\)/g) || []).length
+    ) {
+      token = token.slice(0, -1).replace(/[.,]+$/, "");
+    }
+    const norm = normalizeDoi(token);
+    if (norm && !seen.has(norm)) {
+      seen.add(norm);
+      dois.push(norm);
+    }
+  }
+  return dois;
+}
+
+// Per-article verdict key, using the same labels as the Google Sheets script.
+// `entry` is a batch entry: { state, article, error }.
+function articleVerdictKey(entry) {
+  if (entry.error) return "error";
+  const article = entry.article;
+  if (!article) return entry.state;
+  if (article.mainInfo && isRetractedLikeStatus(article.mainInfo.status)) {
+    return "retracted";
+  }
+  if (!article.refIds.length) return "no_references";
+  const c = article.counts;
+  if (c.retracted + c.expression_of_concern + c.withdrawn > 0) {
+    return "cites_retracted";
+  }
+  // Stopped part-way: the unchecked references might still be retracted
+  return article.stopped ? "incomplete" : "no_retracted_citations";
+}
+
+// ==================== SECOND-ORDER SCREENING ====================
+
+// Picks the unique works cited by the first-level references that still need
+// a lookup, at most `maxLookups` of them. IDs are taken round-robin (first
+// reference of every work, then the second…) so a capped run still covers
+// each first-level reference instead of exhausting the cap on the first few.
+function pickSecondOrderIds(worksByIdx, knownIds, maxLookups) {
+  const lists = Array.from(worksByIdx, (w) =>
+    ((w && w.referenced_works) || []).map(openAlexShortId)
+  );
+  const unique = new Set();
+  const picked = [];
+  const longest = Math.max(0, ...lists.map((l) => l.length));
+
+  for (let rank = 0; rank < longest; rank++) {
+    for (const list of lists) {
+      const id = list[rank];
+      if (!id || knownIds.has(id) || unique.has(id)) continue;
+      unique.add(id);
+      if (picked.length < maxLookups) picked.push(id);
+    }
+  }
+  return { ids: picked, uniqueTotal: unique.size };
+}
+
+// Checks the references of every first-level reference with the same
+// OpenAlex → Crossref/PubMed/Retraction Watch pipeline and stores, on each
+// first-level ref, how many of its own references are retracted-like:
+//   ref.secondOrder = { total, checked, retracted, retractedIds }
+// Works already checked at the first level are reused, not looked up again.
+// Resolves to null when the run is paused or cancelled part-way.
+async function screenSecondOrder(focalWork, allRefs, worksByIdx, maxLookups, hooks = {}) {
+  const onStatus = hooks.onStatus || (() => {});
+  const onRefsStart = hooks.onRefsStart || (() => {});
+  const onRefDone = hooks.onRefDone || (() => {});
+
+  const results = new Map();
+  allRefs.forEach((r) => {
+    if (r.openAlexId) results.set(openAlexShortId(r.openAlexId), r);
+  });
+  const knownIds = new Set(results.keys());
+  if (focalWork.id) knownIds.add(openAlexShortId(focalWork.id));
+
+  const { ids, uniqueTotal } = pickSecondOrderIds(worksByIdx, knownIds, maxLookups);
+  const capNote =
+    uniqueTotal > ids.length ? ` (capped at ${ids.length} of ${uniqueTotal})` : "";
+
+  if (ids.length) {
+    onStatus(
+      `Second-order: resolving ${ids.length} works cited by the references${capNote}…`
+    );
+    const works = await fetchOpenAlexWorksByIds(ids);
+
+    onStatus(`Second-order: checking ${ids.length} works${capNote}…`);
+    onRefsStart(ids.length);
+
+    let done = 0;
+    await mapWithConcurrency(ids, REF_CONCURRENCY, async (id) => {
+      let refObj;
+      try {
+        const work = works.get(id) || (await fetchOpenAlexWorkById(id));
+        refObj = await classifyReferenceFromWork(0, work);
+      } catch (err) {
+        console.warn("Error fetching second-order reference", id, err);
+        refObj = classifyReferenceError(0, id, err.message || "fetch error");
+      }
+      if (isRunStopped()) return;
+      results.set(id, refObj);
+
+      done++;
+      onRefDone(done, ids.length);
+      if (done % 25 === 0) {
+        onStatus(
+          `Second-order: checked ${done}/${ids.length} works${capNote}… still working.`
+        );
+      }
+    });
+  }
+  // Stopped part-way: leave the references untouched for the resumed run
+  if (isRunStopped()) return null;
+
+  allRefs.forEach((ref, i) => {
+    const work = worksByIdx[i];
+    if (!work) return;
+    const cited = (work.referenced_works || []).map(openAlexShortId);
+    const checked = cited.filter((id) => results.has(id)).map((id) => results.get(id));
+    const retracted = checked.filter((r) => isRetractedLikeStatus(r.status));
+    ref.secondOrder = {
+      total: cited.length,
+      checked: checked.length,
+      retracted: retracted.length,
+      retractedIds: retracted.map((r) =>
+        r.doi ? normalizeDoi(r.doi) : r.openAlexId || ""
+      ),
+    };
+  });
+
+  return { lookups: ids.length, uniqueTotal, capped: uniqueTotal > ids.length };
+}
+
+function citesRetractedWork(ref) {
+  return !!(ref.secondOrder && ref.secondOrder.retracted > 0);
+}
+
+// ==================== REPRODUCIBILITY BUNDLE ====================
+
+// A bundle is one JSON file holding everything a single-article analysis
+// was based on: every raw API response (body as received, URL without the
+// PubMed key or the contact email), the Retraction Watch records looked up,
+// the index manifest, the settings, timestamps and the app version, plus the
+// results. Replaying it answers every request from the bundle, so the same
+// analysis is rebuilt without network access and compared with the results.
+//
+// Recording: pass a newBundleRecording() object as `recording` to
+// setRunOptions() for each run of the analysis (first run and resumes), then
+// buildBundle(). Replaying: setRunOptions({ replay: parseBundle(text) }).
+
+function newBundleRecording() {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: "",
+    responses: new Map(), // bundleUrlKey → { url, status, fetchedAt, body | error }
+    rwLookups: {}, // normalized DOI → Retraction Watch records, or null
+    retractionWatch: null,
+    settings: null,
+    secondOrder: null,
+  };
+}
+
+// URL a response is filed under: the PubMed key and the contact email are
+// left out, so they never reach the bundle and do not affect replays
+function bundleUrlKey(url) {
+  const u = new URL(url);
+  ["api_key", "mailto", "email"].forEach((param) => u.searchParams.delete(param));
+  return u.toString();
+}
+
+async function recordResponse(rec, url, res) {
+  const key = bundleUrlKey(url);
+  const entry = { url: key, status: res.status, fetchedAt: new Date().toISOString() };
+  try {
+    entry.body = await res.clone().text();
+  } catch (err) {
+    entry.error = "response body unreadable: " + err.message;
+  }
+  rec.responses.set(key, entry);
+  return res;
+}
+
+function recordFailure(rec, url, err) {
+  // A paused run fetches it again when resumed
+  if (err.name === "AbortError") return;
+  const key = bundleUrlKey(url);
+  rec.responses.set(key, {
+    url: key,
+    status: 0,
+    fetchedAt: new Date().toISOString(),
+    error: err.message || String(err),
+  });
+}
+
+// Stand-in for fetch() during a replay
+async function replayFetch(url) {
+  const key = bundleUrlKey(url);
+  const entry = replaySource.responses.get(key);
+  if (!entry) throw new Error("request not in the replayed bundle: " + key);
+  if (entry.error) throw new Error(entry.error);
+  return {
+    ok: entry.status >= 200 && entry.status < 300,
+    status: entry.status,
+    headers: { get: () => null },
+    json: async () => JSON.parse(entry.body),
+    text: async () => entry.body,
+  };
+}
+
+// The parts of rwIndexMeta a bundle keeps
+function rwIndexSummary(meta = rwIndexMeta) {
+  return {
+    loaded: meta.loaded,
+    size: meta.size,
+    format: meta.format,
+    error: meta.error,
+    manifest: meta.manifest,
+  };
+}
+
+// Statuses a replay is compared on
+function bundleResults(article) {
+  return {
+    status: article.mainInfo ? article.mainInfo.status : "",
+    counts: article.counts,
+    references: article.allRefs.map((r) => ({
+      idx: r.idx,
+      status: r.status,
+      doi: r.doi ? normalizeDoi(r.doi) : "",
+      retractionDate: r.retractionDate || "",
+    })),
+  };
+}
+
+function buildBundle(rec, article) {
+  return {
+    format: BUNDLE_FORMAT,
+    appVersion: APP_VERSION,
+    createdAt: new Date().toISOString(),
+    run: {
+      startedAt: rec.startedAt,
+      finishedAt: rec.finishedAt || new Date().toISOString(),
+      secondOrder: rec.secondOrder,
+    },
+    analysis: { identifier: article.identifier || { type: "doi", value: article.doi } },
+    settings: rec.settings,
+    retractionWatch: rec.retractionWatch,
+    retractionWatchLookups: rec.rwLookups,
+    responses: [...rec.responses.values()],
+    results: bundleResults(article),
+  };
+}
+
+function parseBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (err) {
+    throw new Error("the bundle is not valid JSON");
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error(`not a Retraction Radar bundle (expected format ${BUNDLE_FORMAT})`);
+  }
+  return bundle;
+}
+
+// Applies the bundle's sources for the duration of the replay
+function openReplay(bundle) {
+  const savedSettings = getSettings();
+  const sources = (bundle.settings && bundle.settings.sources) || {};
+  applySettings({
+    ...savedSettings,
+    disabledSources: Object.keys(sources).filter((key) => !sources[key]),
+  });
+  return {
+    responses: new Map((bundle.responses || []).map((r) => [r.url, r])),
+    rwLookups: bundle.retractionWatchLookups || {},
+    retractionWatch: bundle.retractionWatch || rwIndexSummary(emptyRwIndexMeta()),
+    savedSettings,
+  };
+}
+
+// Differences between the recorded results and a replayed article, as
+// "#12: retracted → ok" lines ([] when the replay reproduces them)
+function compareWithBundle(bundle, article) {
+  const recorded = bundle.results || { status: "", references: [] };
+  const replayed = bundleResults(article);
+  const diffs = [];
+  if (recorded.status !== replayed.status) {
+    diffs.push(`article: ${recorded.status || "–"} → ${replayed.status || "–"}`);
+  }
+  const byIdx = new Map(replayed.references.map((r) => [r.idx, r]));
+  recorded.references.forEach((r) => {
+    const now = byIdx.get(r.idx);
+    byIdx.delete(r.idx);
+    if (!now) diffs.push(`#${r.idx}: ${r.status} → missing`);
+    else if (now.status !== r.status) diffs.push(`#${r.idx}: ${r.status} → ${now.status}`);
+  });
+  byIdx.forEach((r) => diffs.push(`#${r.idx}: missing → ${r.status}`));
+  return diffs;
+}
+
+// One-line outcome of a replay
+function describeReplayComparison(bundle, diffs) {
+  const when = bundle.run && bundle.run.startedAt ? ` recorded ${bundle.run.startedAt}` : "";
+  if (!diffs.length) return `Replay of the bundle${when}: identical to the recorded results.`;
+  const shown = diffs.slice(0, 5).join("; ");
+  const more = diffs.length > 5 ? `; and ${diffs.length - 5} more` : "";
+  const noun = diffs.length === 1 ? "difference" : "differences";
+  return `Replay of the bundle${when}: ${diffs.length} ${noun} from the recorded results (${shown}${more}).`;
+}
+
+// ==================== CSV ====================
+
+function rowsToCsv(rows) {
+  return rows
+    .map((cols) =>
+      cols
+        .map((val) => {
+          const v = String(val ?? "").replace(/"/g, '""');
+          return `"${v}"`;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+}
+
+const REF_CSV_HEADER = [
+  "index",
+  "status",
+  "year",
+  "title",
+  "doi_or_openalex",
+  "doi_match_source",
+  "doi_match_confidence",
+  "citation",
+  "notes",
+  "lookup",
+  "rw_nature",
+  "rw_retraction_date",
+  "rw_reasons",
+  "rw_notice_doi",
+  "rw_index_version",
+  "settings",
+  "retraction_date",
+  "retraction_timing",
+  ...Object.keys(EVIDENCE_SOURCES).map((key) => "evidence_" + key),
+  "sources_disagree",
+  "second_order_checked",
+  "second_order_retracted",
+  "second_order_retracted_ids",
+];
+
+function refCsvFields(r) {
+  const linkField = r.doi ? normalizeDoi(r.doi) : r.openAlexId || "";
+  return [
+    String(r.idx ?? ""),
+    r.status ?? "",
+    r.year != null ? String(r.year) : "",
+    r.title ?? "",
+    linkField,
+    r.doiMatch ? r.doiMatch.source : "",
+    r.doiMatch ? r.doiMatch.confidence.toFixed(2) : "",
+    r.citation ?? "",
+    r.notes ?? "",
+    r.lookup ?? "",
+    ...retractionWatchCsvFields(r.rwRecords),
+    r.rwIndexVersion ?? "",
+    r.settings ?? "",
+    r.retractionDate ?? "",
+    r.retractionTiming ?? "",
+    ...Object.keys(EVIDENCE_SOURCES).map((key) =>
+      evidenceCsvField(r.evidence && r.evidence[key])
+    ),
+    r.evidence ? (evidenceDisagrees(r.evidence) ? "yes" : "no") : "",
+    r.secondOrder ? `${r.secondOrder.checked}/${r.secondOrder.total}` : "",
+    r.secondOrder ? String(r.secondOrder.retracted) : "",
+    r.secondOrder ? r.secondOrder.retractedIds.join("; ") : "",
+  ];
+}
+
+// "status: signal", or "unknown: error: …" when the lookup failed
+function evidenceCsvField(e) {
+  if (!e) return "";
+  const detail = e.error ? "error: " + e.error : e.signal;
+  return detail ? `${e.status}: ${detail}` : e.status;
+}
+
+// ==================== NODE EXPORTS ====================
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SECOND_ORDER_DEFAULT_MAX,
+    REF_CSV_HEADER,
+    setRunOptions,
+    rateLimitedFetch,
+    newBundleRecording,
+    buildBundle,
+    parseBundle,
+    compareWithBundle,
+    describeReplayComparison,
+    applySettings,
+    settingsForExport,
+    EVIDENCE_SOURCES,
+    getRunStats,
+    describeRunStats,
+    normalizeDoi,
+    normalizeDoiInput,
+    detectWorkIdentifier,
+    formatWorkIdentifier,
+    WORK_ID_LABELS,
+    extractDoisFromText,
+    isRetractedLikeStatus,
+    parseRetractionWatchIndexText,
+    loadRetractionWatchIndex,
+    setRetractionWatchIndexLoader,
+    onRetractionWatchIndexChange,
+    ensureRetractionWatchIndex,
+    getRetractionWatchIndexMeta: rwIndexState,
+    determineRetractionStatusFromRetractionWatch,
+    determineRetractionStatusFromCrossref,
+    determineRetractionStatusFromPubMedSummary,
+    getCombinedRetractionInfoForDoi,
+    checkArticle,
+    articleVerdictKey,
+    describeCounts,
+    compareIsoDates,
+    retractionTiming,
+    describeReferenceCoverage,
+    rowsToCsv,
+    refCsvFields,
+  };
+}
@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+// retraction-radar – command-line screening with the same checks as the web
+// page (assets/js/core.js): OpenAlex references, then Crossref + PubMed +
+// Retraction Watch + OpenAlex is_retracted for each of them.
+//
+// Exit codes: 0 no retracted citations found, 1 retracted/EoC/withdrawn
+// citations (or a retracted article) found, 2 usage error or a DOI that could
+// not be (fully) checked.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const core = require("../assets/js/core.js");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+const EXIT_CLEAN = 0;
+const EXIT_RETRACTED = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: retraction-radar [options] <doi|pmid|pmcid|arxiv|openalex-id>...
+       retraction-radar [options] --file dois.txt
+       retraction-radar [options] --replay bundle.json
+
+Screens the references of each article for retracted, EoC and withdrawn works.
+Articles are given by DOI, PMID ("pmid:123" or digits), PMCID ("PMC123"),
+arXiv ID ("arxiv:2101.00001") or OpenAlex ID ("W123").
+
+Options:
+  -f, --file <path>        read DOIs from a file (any text or CSV containing
+                           DOIs; "-" reads standard input); repeatable
+      --rw-index <path>    local Retraction Watch index: the TSV
+                           (retraction_watch_index.tsv) or a plain DOI list
+                           (default: the files in data/)
+  -o, --format <format>    table (default), csv or json
+  -a, --all                list every reference, not only flagged ones
+      --pubmed-key <key>   NCBI API key: 10 instead of 3 PubMed requests/s
+                           (default: $PUBMED_API_KEY)
+      --email <address>    contact email for the OpenAlex and Crossref polite
+                           pools (default: $RETRACTION_RADAR_EMAIL)
+      --disable-source <name>
+                           do not consult crossref, pubmed, retraction_watch
+                           or openalex (its is_retracted flag); repeatable
+      --second-order[=N]   also check the works cited by each reference,
+                           at most N extra lookups (default ${core.SECOND_ORDER_DEFAULT_MAX})
+      --bundle <path>      also write a reproducibility bundle (every raw API
+                           response) of the analysis; one article only
+      --replay <path>      re-run the analysis recorded in a bundle from its
+                           responses, without network access
+  -q, --quiet              no progress messages on stderr
+  -v, --verbose            show lookup warnings on stderr
+  -h, --help               show this help
+
+Exit codes: 0 no retracted citations found, 1 retracted citations (or a
+retracted article) found, 2 usage error or a DOI could not be checked.
+Ctrl-C stops the run and still prints the references checked so far.`;
+
+// ==================== ARGUMENTS ====================
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = {
+    dois: [],
+    files: [],
+    rwIndex: null,
+    format: "table",
+    all: false,
+    secondOrder: null,
+    pubMedApiKey: process.env.PUBMED_API_KEY || "",
+    contactEmail: process.env.RETRACTION_RADAR_EMAIL || "",
+    disabledSources: [],
+    bundle: null,
+    replay: null,
+    quiet: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    const name = eq > 0 ? arg.slice(0, eq) : arg;
+    const inlineValue = eq > 0 ? arg.slice(eq + 1) : null;
+    const value = () => {
+      if (inlineValue !== null) return inlineValue;
+      if (i + 1 >= argv.length) throw new UsageError(`${name} needs a value`);
+      return argv[++i];
+    };
+
+    switch (name) {
+      case "-f":
+      case "--file":
+        opts.files.push(value());
+        break;
+      case "--rw-index":
+        opts.rwIndex = value();
+        break;
+      case "-o":
+      case "--format":
+        opts.format = value();
+        if (!["table", "csv", "json"].includes(opts.format)) {
+          throw new UsageError(`unknown format "${opts.format}"`);
+        }
+        break;
+      case "-a":
+      case "--all":
+        opts.all = true;
+        break;
+      case "--second-order": {
+        const max =
+          inlineValue === null ? core.SECOND_ORDER_DEFAULT_MAX : parseInt(inlineValue, 10);
+        if (!(max > 0)) throw new UsageError("--second-order needs a positive number");
+        opts.secondOrder = { maxLookups: max };
+        break;
+      }
+      case "--pubmed-key":
+        opts.pubMedApiKey = value();
+        break;
+      case "--email":
+        opts.contactEmail = value();
+        break;
+      case "--disable-source": {
+        const source = value().toLowerCase().replace(/-/g, "_");
+        if (!(source in core.EVIDENCE_SOURCES)) {
+          throw new UsageError(`unknown source "${source}"`);
+        }
+        if (!opts.disabledSources.includes(source)) opts.disabledSources.push(source);
+        break;
+      }
+      case "--bundle":
+        opts.bundle = value();
+        break;
+      case "--replay":
+        opts.replay = value();
+        break;
+      case "-q":
+      case "--quiet":
+        opts.quiet = true;
+        break;
+      case "-v":
+      case "--verbose":
+        opts.verbose = true;
+        break;
+      case "-h":
+      case "--help":
+        opts.help = true;
+        break;
+      default:
+        if (arg.startsWith("-") && arg !== "-") {
+          throw new UsageError(`unknown option ${arg}`);
+        }
+        opts.dois.push(arg);
+    }
+  }
+  if (opts.disabledSources.length === Object.keys(core.EVIDENCE_SOURCES).length) {
+    throw new UsageError("at least one source must stay enabled");
+  }
+  return opts;
+}
+
+// ==================== INPUT ====================
+
+function readInput(file) {
+  return fs.readFileSync(file === "-" ? 0 : file, "utf8");
+}
+
+// Positional identifiers (DOIs, PMIDs, PMCIDs, arXiv or OpenAlex IDs) first,
+// then the DOIs found in each file, de-duplicated in order.
+function collectDois(opts) {
+  const dois = [];
+  const add = (doi) => {
+    if (doi && !dois.includes(doi)) dois.push(doi);
+  };
+
+  opts.dois.forEach((raw) => {
+    const id = core.detectWorkIdentifier(raw);
+    if (!id || id.type === "title") {
+      throw new UsageError(`not a DOI, PMID, PMCID, arXiv or OpenAlex ID: ${raw}`);
+    }
+    add(core.formatWorkIdentifier(id));
+  });
+  opts.files.forEach((file) => core.extractDoisFromText(readInput(file)).forEach(add));
+  return dois;
+}
+
+// data/retraction_watch_manifest.json, when it describes the TSV next to it
+function readLocalManifest() {
+  try {
+    const manifest = JSON.parse(readInput(path.join(DATA_DIR, "retraction_watch_manifest.json")));
+    const tsv = fs.readFileSync(path.join(DATA_DIR, "retraction_watch_index.tsv"));
+    const sha256 = crypto.createHash("sha256").update(tsv).digest("hex");
+    return manifest.sha256 === sha256 ? manifest : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function useRetractionWatchIndex(opts) {
+  if (opts.rwIndex) {
+    core.setRetractionWatchIndexLoader(async () =>
+      core.parseRetractionWatchIndexText(readInput(opts.rwIndex))
+    );
+  } else {
+    core.setRetractionWatchIndexLoader(async () => {
+      const loaded = await core.loadRetractionWatchIndex(
+        async (file) => readInput(file),
+        path.join(DATA_DIR, "retraction_watch_index.tsv"),
+        path.join(DATA_DIR, "retraction_watch_doi_index.txt")
+      );
+      return { ...loaded, manifest: loaded.format === "rich" ? readLocalManifest() : null };
+    });
+  }
+  return core.ensureRetractionWatchIndex();
+}
+
+// ==================== OUTPUT ====================
+
+function refsToList(article, opts) {
+  if (!article) return [];
+  if (opts.all) return article.allRefs.slice().sort((a, b) => a.idx - b.idx);
+  return article.interesting;
+}
+
+function truncate(text, width) {
+  const str = String(text || "").replace(/\s+/g, " ");
+  return str.length > width ? str.slice(0, width - 1) + "…" : str;
+}
+
+function formatTable(results, opts) {
+  const lines = [];
+
+  results.forEach((entry) => {
+    const article = entry.article;
+    lines.push(`${entry.doi}${article ? " – " + article.title : ""}`);
+    lines.push(`  verdict: ${core.articleVerdictKey(entry)}`);
+    if (entry.error) {
+      lines.push(`  error: ${entry.error}`);
+      lines.push("");
+      return;
+    }
+    if (article.mainInfo) lines.push(`  article status: ${article.mainInfo.status}`);
+    if (article.coverage) {
+      lines.push(`  reference sources: ${core.describeReferenceCoverage(article.coverage)}`);
+    }
+    if (article.refIds.length) lines.push("  " + core.describeCounts(article.counts));
+
+    const refs = refsToList(article, opts);
+    if (refs.length) {
+      lines.push("");
+      lines.push(
+        "  " +
+          ["#".padStart(4), "STATUS".padEnd(28), "YEAR", "DOI / OPENALEX".padEnd(34), "TITLE"].join(
+            "  "
+          )
+      );
+      refs.forEach((r) => {
+        let status = r.status;
+        if (r.retractionTiming === "before_citation") status += " (before citation)";
+        if (r.secondOrder && r.secondOrder.retracted) {
+          status += ` +${r.secondOrder.retracted} 2nd order`;
+        }
+        lines.push(
+          "  " +
+            [
+              String(r.idx).padStart(4),
+              truncate(status, 28).padEnd(28),
+              String(r.year || "—").padEnd(4),
+              truncate(r.doi ? core.normalizeDoi(r.doi) : r.openAlexId, 34).padEnd(34),
+              truncate(r.title, 60),
+            ].join("  ")
+        );
+      });
+    }
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+// Same columns as the page's batch CSV export
+function formatCsv(results, opts) {
+  const header = [
+    "source_doi",
+    "source_title",
+    "source_verdict",
+    "source_status",
+    "source_total_refs",
+    ...core.REF_CSV_HEADER,
+  ];
+  const rows = [header];
+  const emptyRef = core.REF_CSV_HEADER.map(() => "");
+
+  results.forEach((entry) => {
+    const article = entry.article;
+    const source = [
+      entry.doi,
+      article ? article.title : "",
+      core.articleVerdictKey(entry),
+      article && article.mainInfo ? article.mainInfo.status : "",
+      article && article.counts ? String(article.counts.total) : "",
+    ];
+    const refs = refsToList(article, opts);
+
+    if (entry.error) {
+      const errRef = emptyRef.slice();
+      errRef[core.REF_CSV_HEADER.indexOf("notes")] = "Error: " + entry.error;
+      rows.push([...source, ...errRef]);
+    } else if (refs.length) {
+      refs.forEach((r) => rows.push([...source, ...core.refCsvFields(r)]));
+    } else {
+      rows.push([...source, ...emptyRef]);
+    }
+  });
+
+  return core.rowsToCsv(rows) + "\r\n";
+}
+
+function formatJson(results, opts) {
+  const rwMeta = core.getRetractionWatchIndexMeta();
+  const articles = results.map((entry) => {
+    const article = entry.article;
+    return {
+      doi: entry.doi,
+      verdict: core.articleVerdictKey(entry),
+      error: entry.error || null,
+      title: article ? article.title : null,
+      year: article ? article.year : null,
+      status: article && article.mainInfo ? article.mainInfo : null,
+      counts: article ? article.counts : null,
+      coverage: (article && article.coverage) || null,
+      secondOrder: (article && article.secondOrder) || null,
+      references: refsToList(article, opts),
+    };
+  });
+  return (
+    JSON.stringify(
+      {
+        retractionWatch: {
+          loaded: rwMeta.loaded,
+          entries: rwMeta.size,
+          format: rwMeta.format,
+          error: rwMeta.error,
+          manifest: rwMeta.manifest,
+        },
+        settings: core.settingsForExport(),
+        requests: core.getRunStats(),
+        articles,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+const FORMATTERS = { table: formatTable, csv: formatCsv, json: formatJson };
+
+// ==================== MAIN ====================
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return EXIT_CLEAN;
+  }
+
+  const progress = (msg) => {
+    if (!opts.quiet) process.stderr.write(msg + "\n");
+  };
+  // core.js reports lookup problems with console.warn (stderr); only shown
+  // with --verbose
+  if (!opts.verbose) console.warn = () => {};
+
+  // A replay takes its article, sources and Retraction Watch records from the
+  // bundle
+  const replay = opts.replay ? core.parseBundle(readInput(opts.replay)) : null;
+  const dois = replay ? [replay.analysis.identifier] : collectDois(opts);
+  if (!dois.length) throw new UsageError("no DOIs given");
+  if (opts.bundle && (replay || dois.length > 1)) {
+    throw new UsageError("--bundle records the analysis of a single article");
+  }
+
+  core.applySettings(opts);
+
+  const rwEnabled = !opts.disabledSources.includes("retraction_watch");
+  if (rwEnabled && !replay) await useRetractionWatchIndex(opts);
+  const rwMeta = core.getRetractionWatchIndexMeta();
+  if (replay) {
+    progress(`Replaying the bundle recorded ${replay.run.startedAt} (app ${replay.appVersion}).`);
+  } else if (!rwEnabled) {
+    progress("Retraction Watch turned off (--disable-source).");
+  } else if (!rwMeta.loaded) {
+    if (opts.rwIndex) {
+      throw new Error(`could not read Retraction Watch index ${opts.rwIndex}: ${rwMeta.error}`);
+    }
+    process.stderr.write(
+      `Retraction Watch data unavailable (${rwMeta.error}); using Crossref/PubMed/OpenAlex only.\n`
+    );
+  } else {
+    const version = rwMeta.manifest
+      ? `, version ${rwMeta.manifest.version} built ${rwMeta.manifest.built_at}`
+      : "";
+    progress(`Retraction Watch index: ${rwMeta.size} DOIs (${rwMeta.format}${version}).`);
+  }
+
+  // Ctrl-C stops the run but still prints what was checked; a second one quits
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    progress("Cancelling… (press Ctrl-C again to quit)");
+    controller.abort("cancelled");
+  });
+  const recording = opts.bundle ? core.newBundleRecording() : null;
+  core.setRunOptions({
+    secondOrder: opts.secondOrder,
+    signal: controller.signal,
+    recording,
+    replay,
+  });
+
+  const results = [];
+  for (const [i, input] of dois.entries()) {
+    if (controller.signal.aborted) break;
+    const doi = typeof input === "string" ? input : core.formatWorkIdentifier(input);
+    const entry = { idx: i + 1, doi, state: "running", article: null, error: null };
+    const prefix = dois.length > 1 ? `[${i + 1}/${dois.length}] ${doi}: ` : `${doi}: `;
+    try {
+      entry.article = await core.checkArticle(input, {
+        onStatus: (msg) => progress(prefix + msg),
+      });
+      entry.state = "done";
+      if (entry.article.stopped) {
+        const { checked, total } = entry.article.stopped;
+        progress(prefix + `stopped after ${checked}/${total} references`);
+      }
+    } catch (err) {
+      // One failing DOI must not abort the rest
+      entry.error = err.message || String(err);
+      entry.state = "error";
+      progress(prefix + "error: " + entry.error);
+    }
+    results.push(entry);
+  }
+
+  const article = results.length ? results[0].article : null;
+  if (replay && article) {
+    progress(core.describeReplayComparison(replay, core.compareWithBundle(replay, article)));
+  }
+  if (recording) {
+    if (article && !article.stopped) {
+      fs.writeFileSync(opts.bundle, JSON.stringify(core.buildBundle(recording, article)));
+      progress(`Bundle written to ${opts.bundle}.`);
+    } else {
+      process.stderr.write("No bundle written: the analysis did not finish.\n");
+    }
+  }
+
+  const failedNote = core.describeRunStats();
+  if (failedNote) process.stderr.write(failedNote + "\n");
+  process.stdout.write(FORMATTERS[opts.format](results, opts));
+
+  const verdicts = results.map(core.articleVerdictKey);
+  if (verdicts.some((v) => v === "retracted" || v === "cites_retracted")) {
+    return EXIT_RETRACTED;
+  }
+  return verdicts.includes("error") || verdicts.includes("incomplete") ? EXIT_ERROR : EXIT_CLEAN;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    process.stderr.write(`retraction-radar: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write("\n" + USAGE + "\n");
+    process.exitCode = EXIT_ERROR;
+  });
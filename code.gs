@@ -3,18 +3,38 @@
 // Goal: For each DOI in column K, answer:
 //  "Does this paper CITE retracted literature?"
 // 
-// Uses:
-//  - Retraction Watch DOI index (plain text in your GitHub repo)
-//    → to detect self-retraction and retracted cited DOIs
+// Uses the same sources and status categories as the web app
+// (getCombinedRetractionInfoForDoi in assets/js/core.js):
 //  - OpenAlex:
 //    → to resolve references (referenced_works) and is_retracted flags
+//  - Crossref update metadata (update-to / updated-by / relation)
+//  - PubMed publication types (Retracted Publication, Expression of Concern…)
+//  - Retraction Watch index (TSV in your GitHub repo, DOI list as fallback)
+// Statuses: retracted, expression of concern, withdrawn, corrected, ok.
 // 
 // Sheet layout:
 //  - K: DOI
 //  - L: Status
 //  - M: Reason / details
 //  - N: Number of references evaluated
-//  - O: Retracted DOIs found (comma-separated)
+//  - O: Retracted / withdrawn DOIs found (comma-separated)
+//  - P: Number of references with an expression of concern
+//  - Q: Expression-of-concern DOIs found
+//  - R: Number of corrected references (correction / erratum)
+//  - S: Corrected DOIs found
+//  - T: Retraction Watch index version used (format, content hash, date,
+//       number of DOIs) – so each row can be reproduced later
+//
+// Every flagged reference (retracted, EoC, withdrawn, corrected) also gets a
+// row in the "Retraction Radar – references" tab: source DOI, reference DOI,
+// status and the sources that flagged it.
+//
+// "Process ALL remaining" installs a time-driven trigger that keeps resuming
+// until every DOI in column K has a status, then removes itself.
+//
+// The parsed Retraction Watch index is stored in a Drive file and only
+// downloaded again when the upstream file changes (needs Drive access the
+// first time you authorize the script).
 // ==========================================
 
 // ===== CONFIG =====
@@ -23,6 +43,12 @@ var COL_STATUS = 12;           // Column L
 var COL_REASON = 13;           // Column M
 var COL_REFS = 14;             // Column N
 var COL_RETRACTED_DOIS = 15;   // Column O
+var COL_EOC_COUNT = 16;        // Column P
+var COL_EOC_DOIS = 17;         // Column Q
+var COL_CORRECTED_COUNT = 18;  // Column R
+var COL_CORRECTED_DOIS = 19;   // Column S
+var COL_RW_VERSION = 20;       // Column T
+var COL_LAST = COL_RW_VERSION;
 
 var HEADER_ROW = 1;
 
@@ -31,24 +57,62 @@ var BATCH_SIZE = 5;                 // how many DOIs per run
 var MAX_RUNTIME_MS = 5 * 60 * 1000; // 5 minutes
 var PER_DOI_SLEEP_MS = 1500;        // ms pause between DOIs
 
-// OpenAlex polite parameter (optional but recommended)
-var OPENALEX_MAILTO = "name@example.org"; // you can put your email here, or leave as-is
+// Per-reference detail tab (one row per flagged reference)
+var DETAIL_SHEET_NAME = "Retraction Radar – references";
+var DETAIL_HEADER = ["Source DOI", "Reference DOI", "Status", "Flagged by", "Checked at"];
 
-// Retraction Watch DOI index URL – your GitHub mirror (plain text, one DOI per line)
+// Auto-resume: time-driven trigger calling resumeProcessing() until done.
+// The interval leaves room for a full MAX_RUNTIME_MS run in between.
+var RESUME_HANDLER = "resumeProcessing";
+var RESUME_EVERY_MINUTES = 10;
+var RESUME_SHEET_PROPERTY = "RR_RESUME_SHEET"; // name of the sheet being processed
+
+// OpenAlex polite parameter (optional but recommended): your email, set as the
+// OPENALEX_MAILTO script property. Left empty when the property is not set.
+var OPENALEX_MAILTO = PropertiesService.getScriptProperties().getProperty("OPENALEX_MAILTO") || "";
+
+// Optional NCBI API key (10 PubMed requests/s instead of 3), set as the
+// PUBMED_API_KEY script property. Left empty when the property is not set.
+var PUBMED_API_KEY = PropertiesService.getScriptProperties().getProperty("PUBMED_API_KEY") || "";
+
+// Crossref lookups run in parallel groups of this size (UrlFetchApp.fetchAll)
+var CROSSREF_PARALLEL = 4;
+
+// DOIs per PubMed esearch; keeps the GET URL under UrlFetchApp's 2 KB limit
+var PUBMED_GROUP_SIZE = 15;
+
+// Retraction Watch index – your GitHub mirror. The TSV carries the retraction
+// nature (retraction, expression of concern, correction…); the plain DOI list
+// (one DOI per line) is the fallback.
+var RETRACTION_WATCH_TSV_URL =
+  "https://raw.githubusercontent.com/HelenoPaiva/Retraction-Radar/refs/heads/main/data/retraction_watch_index.tsv";
 var RETRACTION_WATCH_INDEX_URL =
   "https://raw.githubusercontent.com/HelenoPaiva/Retraction-Radar/refs/heads/main/data/retraction_watch_doi_index.txt";
 
+// Persistent copy of the parsed index (see getRetractionWatchCache_): a Drive
+// file plus its metadata in script properties. Upstream is re-checked (ETag /
+// content hash) at most this often.
+var RW_STORE_FILE_NAME = "Retraction Radar – RW index cache.json";
+var RW_STORE_PROPERTY = "RR_RW_INDEX";
+var RW_RECHECK_MS = 6 * 60 * 60 * 1000; // 6 hours
+
 // In-memory cache for Retraction Watch DOIs (per execution)
-var RW_CACHE = null; // { error: string|null, map: { [normalizedDoi]: true } }
+// { error: string|null, map: { [normalizedDoi]: [{ nature }] },
+//   info: stored index metadata (version, date, count) or null,
+//   warning: set when upstream could not be checked and the stored copy is used }
+// (records are empty arrays when only the plain DOI list could be loaded)
+var RW_CACHE = null;
 
 // ===== MENU =====
 function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu("Retraction Radar")
     .addItem("Process next batch (" + BATCH_SIZE + ")", "processNextBatch")
-    .addItem("Process ALL remaining", "processAllRemaining")
+    .addItem("Process ALL remaining (auto-resume)", "processAllRemaining")
+    .addItem("Stop auto-resume", "stopAutoResume")
     .addSeparator()
-    .addItem("Reset results (L-O)", "resetResults")
+    .addItem("Refresh Retraction Watch index", "refreshRetractionWatchIndex")
+    .addItem("Reset results (L-T)", "resetResults")
     .addToUi();
 }
 
@@ -57,9 +121,95 @@ function processNextBatch() {
 }
 
 function processAllRemaining() {
+  var sh = SpreadsheetApp.getActiveSheet();
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    SpreadsheetApp.getActive().toast(
+      "Retraction Radar: already running (auto-resume in progress).",
+      "Busy",
+      5
+    );
+    return;
+  }
+
+  var pending;
+  try {
+    processUntilTimeout_(sh);
+    pending = countPendingDois_(sh);
+  } finally {
+    lock.releaseLock();
+  }
+
+  if (pending > 0) {
+    installResumeTrigger_(sh);
+    SpreadsheetApp.getActive().toast(
+      "Retraction Radar: " + pending + " DOI(s) left – resuming automatically every " +
+        RESUME_EVERY_MINUTES + " minutes.",
+      "Auto-resume",
+      8
+    );
+  } else {
+    removeResumeTrigger_();
+    SpreadsheetApp.getActive().toast("Retraction Radar: all DOIs processed.", "Done", 5);
+  }
+}
+
+// Time-driven trigger handler (installed by processAllRemaining)
+function resumeProcessing() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    return; // the previous run is still going
+  }
+
+  try {
+    var name = PropertiesService.getScriptProperties().getProperty(RESUME_SHEET_PROPERTY);
+    var sh = name ? SpreadsheetApp.getActive().getSheetByName(name) : null;
+    if (!sh) {
+      removeResumeTrigger_();
+      return;
+    }
+
+    processUntilTimeout_(sh);
+    if (countPendingDois_(sh) === 0) {
+      removeResumeTrigger_();
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function stopAutoResume() {
+  var removed = removeResumeTrigger_();
+  SpreadsheetApp.getActive().toast(
+    removed ? "Retraction Radar: auto-resume stopped." : "Retraction Radar: auto-resume was not running.",
+    "Auto-resume",
+    4
+  );
+}
+
+function resetResults() {
+  removeResumeTrigger_();
+
+  var sh = SpreadsheetApp.getActiveSheet();
+  var detail = SpreadsheetApp.getActive().getSheetByName(DETAIL_SHEET_NAME);
+  if (detail && detail.getLastRow() > 1) {
+    detail.getRange(2, 1, detail.getLastRow() - 1, DETAIL_HEADER.length).clearContent();
+  }
+
+  var lastRow = sh.getLastRow();
+  if (lastRow <= HEADER_ROW) {
+    return;
+  }
+  var numRows = lastRow - HEADER_ROW;
+  var numCols = COL_LAST - COL_STATUS + 1;
+  sh.getRange(HEADER_ROW + 1, COL_STATUS, numRows, numCols).clearContent();
+}
+
+// ===== AUTO-RESUME =====
+function processUntilTimeout_(sh) {
   var start = Date.now();
   while (true) {
-    var didWork = processBatch_(BATCH_SIZE, true);
+    var didWork = processBatch_(BATCH_SIZE, true, sh);
     if (!didWork) {
       break;
     }
@@ -69,19 +219,87 @@ function processAllRemaining() {
   }
 }
 
-function resetResults() {
-  var sh = SpreadsheetApp.getActiveSheet();
+// Rows with a DOI in column K and no status yet
+function countPendingDois_(sh) {
   var lastRow = sh.getLastRow();
   if (lastRow <= HEADER_ROW) {
+    return 0;
+  }
+  var values = sh
+    .getRange(HEADER_ROW + 1, COL_DOI, lastRow - HEADER_ROW, COL_STATUS - COL_DOI + 1)
+    .getValues();
+  var pending = 0;
+  for (var i = 0; i < values.length; i++) {
+    var doi = values[i][0];
+    var status = values[i][COL_STATUS - COL_DOI];
+    if (doi && String(doi).trim() !== "" && !status) {
+      pending++;
+    }
+  }
+  return pending;
+}
+
+function installResumeTrigger_(sh) {
+  PropertiesService.getScriptProperties().setProperty(RESUME_SHEET_PROPERTY, sh.getName());
+  var triggers = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === RESUME_HANDLER) {
+      return; // already installed
+    }
+  }
+  ScriptApp.newTrigger(RESUME_HANDLER)
+    .timeBased()
+    .everyMinutes(RESUME_EVERY_MINUTES)
+    .create();
+}
+
+// Returns true when a trigger was removed
+function removeResumeTrigger_() {
+  var removed = false;
+  var triggers = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === RESUME_HANDLER) {
+      ScriptApp.deleteTrigger(triggers[i]);
+      removed = true;
+    }
+  }
+  PropertiesService.getScriptProperties().deleteProperty(RESUME_SHEET_PROPERTY);
+  return removed;
+}
+
+// ===== DETAIL TAB =====
+function getDetailSheet_() {
+  var ss = SpreadsheetApp.getActive();
+  var detail = ss.getSheetByName(DETAIL_SHEET_NAME);
+  if (!detail) {
+    detail = ss.insertSheet(DETAIL_SHEET_NAME);
+  }
+  if (detail.getLastRow() === 0) {
+    detail.getRange(1, 1, 1, DETAIL_HEADER.length).setValues([DETAIL_HEADER]);
+    detail.setFrozenRows(1);
+  }
+  return detail;
+}
+
+// One row per flagged reference of `sourceDoi`
+function appendDetailRows_(sourceDoi, flaggedRefs) {
+  if (!flaggedRefs || !flaggedRefs.length) {
     return;
   }
-  var numRows = lastRow - HEADER_ROW;
-  var numCols = COL_RETRACTED_DOIS - COL_STATUS + 1;
-  sh.getRange(HEADER_ROW + 1, COL_STATUS, numRows, numCols).clearContent();
+  var checkedAt = new Date();
+  var rows = [];
+  for (var i = 0; i < flaggedRefs.length; i++) {
+    var ref = flaggedRefs[i];
+    rows.push([sourceDoi, ref.doi, ref.status, ref.flaggedBy, checkedAt]);
+  }
+  var detail = getDetailSheet_();
+  detail
+    .getRange(detail.getLastRow() + 1, 1, rows.length, DETAIL_HEADER.length)
+    .setValues(rows);
 }
 
 // ===== BATCH LOOP =====
-function processBatch_(limit, silent) {
+function processBatch_(limit, silent, sheet) {
   if (limit == null) {
     limit = BATCH_SIZE;
   }
@@ -89,14 +307,14 @@ function processBatch_(limit, silent) {
     silent = false;
   }
 
-  var sh = SpreadsheetApp.getActiveSheet();
+  var sh = sheet || SpreadsheetApp.getActiveSheet();
   var lastRow = sh.getLastRow();
   if (lastRow <= HEADER_ROW) {
     return false;
   }
 
   var numRows = lastRow - HEADER_ROW;
-  var numCols = COL_RETRACTED_DOIS;
+  var numCols = COL_LAST;
   var data = sh.getRange(HEADER_ROW + 1, 1, numRows, numCols).getValues();
 
   var startTime = Date.now();
@@ -110,8 +328,16 @@ function processBatch_(limit, silent) {
       "Error",
       6
     );
-    // We still proceed, but only with OpenAlex is_retracted if available
+    // We still proceed with Crossref, PubMed and OpenAlex is_retracted
+  } else if (rw.warning && !silent) {
+    SpreadsheetApp.getActive().toast(
+      "Retraction Radar: could not check for a newer Retraction Watch index – " +
+        "using the stored copy (" + rw.warning + ")",
+      "Warning",
+      6
+    );
   }
+  var rwVersion = describeRetractionWatchIndex_(rw);
 
   for (var i = 0; i < data.length; i++) {
     var rowIndex = HEADER_ROW + 1 + i;
@@ -132,13 +358,12 @@ function processBatch_(limit, silent) {
 
     var doiStr = String(doi).trim();
     var result = checkReferencesForDoi_(doiStr, rw);
+    result.rwIndexVersion = rwVersion;
 
-    sh.getRange(rowIndex, COL_STATUS, 1, 4).setValues([[
-      result.statusLabel,
-      result.reason,
-      result.referencesEvaluated,
-      result.retractedDoisText
-    ]]);
+    sh.getRange(rowIndex, COL_STATUS, 1, COL_LAST - COL_STATUS + 1).setValues([
+      resultRow_(result)
+    ]);
+    appendDetailRows_(doiStr, result.flaggedRefs);
 
     processed++;
     Utilities.sleep(PER_DOI_SLEEP_MS);
@@ -161,11 +386,12 @@ function processBatch_(limit, silent) {
 
 // ===== CORE LOGIC: for one DOI =====
 function checkReferencesForDoi_(doi, rwCache) {
-  // --- Fast path – check self against Retraction Watch DOI index first ---
+  // --- Fast path – check self against Retraction Watch index first ---
   var selfRetractedRW = false;
   if (rwCache && rwCache.map) {
     var normSelf = normalizeDoi_(doi);
-    if (normSelf && rwCache.map[normSelf]) {
+    var selfRecords = normSelf ? rwCache.map[normSelf] : null;
+    if (selfRecords && statusFromRetractionWatch_(selfRecords) === "retracted") {
       selfRetractedRW = true;
     }
   }
@@ -251,8 +477,13 @@ function checkReferencesForDoi_(doi, rwCache) {
     };
   }
 
-  var selfRetracted = !!jsonWork.is_retracted;
-  var selfNote = selfRetracted ? "Self: retracted (OpenAlex)" : "Self: not retracted (OpenAlex)";
+  // Self: same combined check as every reference
+  var selfDoi = normalizeDoi_(jsonWork.doi) || normalizeDoi_(doi);
+  var oaFlagsSelf = {};
+  oaFlagsSelf[selfDoi] = !!jsonWork.is_retracted;
+  var selfCheck = classifyDois_([selfDoi], oaFlagsSelf, rwCache)[selfDoi];
+  var selfRetracted = isRetractedLike_(selfCheck.status);
+  var selfNote = "Self: " + describeCheck_(selfCheck);
 
   var refIds = jsonWork.referenced_works;
   if (!refIds || !refIds.length) {
@@ -267,12 +498,16 @@ function checkReferencesForDoi_(doi, rwCache) {
     };
   }
 
-  // 2) Fetch metadata for referenced works in batches (by OpenAlex ID)
+  // 2) Fetch metadata for referenced works in batches (by OpenAlex ID),
+  //    then check each batch's DOIs against Crossref/PubMed/RW
   var evaluated = 0;
   var retractedCount = 0;
-  var viaRW = 0;
-  var viaOA = 0;
+  var via = { retraction_watch: 0, crossref: 0, pubmed: 0, openalex: 0 };
   var retractedDois = [];
+  var eocDois = [];
+  var correctedDois = [];
+  var flaggedRefs = []; // rows for the detail tab
+  var lookupErrors = 0;
 
   var batchSizeRefs = 40; // how many OpenAlex IDs per request
   for (var start = 0; start < refIds.length; start += batchSizeRefs) {
@@ -349,6 +584,8 @@ function checkReferencesForDoi_(doi, rwCache) {
     }
 
     var results = jsonRefs.results;
+    var batchDois = [];
+    var oaFlags = {};
     for (var k = 0; k < results.length; k++) {
       var refWork = results[k];
       if (!refWork) {
@@ -356,51 +593,51 @@ function checkReferencesForDoi_(doi, rwCache) {
       }
       evaluated++;
 
-      var refDoi = refWork.doi;
-      var refRetractedOA = !!refWork.is_retracted;
-      var refRetractedRW = false;
-
-      if (refDoi && rwCache && rwCache.map) {
-        var norm = normalizeDoi_(refDoi);
-        if (norm && rwCache.map[norm]) {
-          refRetractedRW = true;
+      // Like the web app, references without a DOI are evaluated but not
+      // flagged (Crossref/PubMed/RW cannot be checked for them)
+      var normRef = normalizeDoi_(refWork.doi);
+      if (normRef) {
+        if (!oaFlags.hasOwnProperty(normRef)) {
+          batchDois.push(normRef);
         }
+        oaFlags[normRef] = !!oaFlags[normRef] || !!refWork.is_retracted;
       }
+    }
+
+    var checks = classifyDois_(batchDois, oaFlags, rwCache);
+    for (var c = 0; c < batchDois.length; c++) {
+      var refDoi = batchDois[c];
+      var check = checks[refDoi];
+      lookupErrors += check.errors.length;
 
-      if (refRetractedOA || refRetractedRW) {
+      if (isRetractedLike_(check.status)) {
         retractedCount++;
-        if (refRetractedOA) {
-          viaOA++;
-        }
-        if (refRetractedRW) {
-          viaRW++;
-        }
-        if (refDoi) {
-          // Store normalized DOI for human inspection
-          var normRef = normalizeDoi_(refDoi);
-          if (normRef) {
-            retractedDois.push(normRef);
-          }
+        for (var v = 0; v < check.flaggedBy.length; v++) {
+          via[check.flaggedBy[v]]++;
         }
       }
-    }
-  }
+      if (check.status !== "ok") {
+        flaggedRefs.push({
+          doi: refDoi,
+          status: check.status,
+          flaggedBy: describeSources_(check.flaggedBy)
+        });
+      }
 
-  // Deduplicate retractedDois
-  var retractedDoisText = "";
-  if (retractedDois.length > 0) {
-    var uniqMap = {};
-    var uniqList = [];
-    for (var u = 0; u < retractedDois.length; u++) {
-      var d = retractedDois[u];
-      if (!uniqMap[d]) {
-        uniqMap[d] = true;
-        uniqList.push(d);
+      if (check.status === "expression_of_concern") {
+        eocDois.push(refDoi);
+      } else if (check.status === "corrected") {
+        correctedDois.push(refDoi);
+      } else if (isRetractedLike_(check.status)) {
+        retractedDois.push(refDoi);
       }
     }
-    retractedDoisText = uniqList.join(", ");
   }
 
+  var retractedDoisText = uniqueList_(retractedDois).join(", ");
+  var eocList = uniqueList_(eocDois);
+  var correctedList = uniqueList_(correctedDois);
+
   // 3) Decide status
   if (evaluated === 0) {
     // If self is retracted, that has priority.
@@ -425,79 +662,653 @@ function checkReferencesForDoi_(doi, rwCache) {
 
   var bits = [];
   bits.push(selfNote);
-  bits.push("References: " + retractedCount + "/" + evaluated + " flagged");
+  bits.push(
+    "References: " + retractedCount + "/" + evaluated +
+    " flagged (retracted/EoC/withdrawn), " + correctedList.length + " corrected"
+  );
 
-  if (viaRW > 0) {
-    bits.push("via RW index: " + viaRW);
+  for (var key in via) {
+    if (via[key] > 0) {
+      bits.push("via " + SOURCE_LABELS_[key] + ": " + via[key]);
+    }
   }
-  if (viaOA > 0) {
-    bits.push("via OpenAlex: " + viaOA);
+  if (lookupErrors > 0) {
+    bits.push("Crossref/PubMed lookup errors: " + lookupErrors);
   }
   if (!rwCache || rwCache.error) {
-    bits.push("RW index unavailable – only OpenAlex used for flags");
+    bits.push("RW index unavailable – Crossref/PubMed/OpenAlex used for flags");
   }
 
   return {
     statusLabel: statusLabel,
     reason: bits.join(" | "),
     referencesEvaluated: evaluated,
-    retractedDoisText: retractedDoisText
+    retractedDoisText: retractedDoisText,
+    eocCount: eocList.length,
+    eocDoisText: eocList.join(", "),
+    correctedCount: correctedList.length,
+    correctedDoisText: correctedList.join(", "),
+    flaggedRefs: flaggedRefs
   };
 }
 
-// ===== Retraction Watch DOI index loader =====
-function getRetractionWatchCache_() {
-  if (RW_CACHE !== null) {
-    return RW_CACHE;
+// Sheet values for columns L–T; fields missing from early returns stay empty
+function resultRow_(result) {
+  function val(v) {
+    return v == null ? "" : v;
   }
+  return [
+    val(result.statusLabel),
+    val(result.reason),
+    val(result.referencesEvaluated),
+    val(result.retractedDoisText),
+    val(result.eocCount),
+    val(result.eocDoisText),
+    val(result.correctedCount),
+    val(result.correctedDoisText),
+    val(result.rwIndexVersion)
+  ];
+}
 
-  try {
-    var resp = UrlFetchApp.fetch(
-      RETRACTION_WATCH_INDEX_URL,
-      { muteHttpExceptions: true }
-    );
-    var code = resp.getResponseCode();
-    if (code !== 200) {
-      RW_CACHE = {
-        error: "RW index HTTP " + code,
-        map: null
-      };
-      return RW_CACHE;
+// ===== STATUS MODEL (same categories as the web app) =====
+
+// For picking the most severe status across sources
+var STATUS_SCORE_ = {
+  retracted: 5,
+  expression_of_concern: 4,
+  withdrawn: 4,
+  corrected: 3,
+  ok: 0
+};
+
+var STATUS_LABELS_ = {
+  retracted: "retracted",
+  expression_of_concern: "expression of concern",
+  withdrawn: "withdrawn",
+  corrected: "corrected",
+  ok: "not retracted"
+};
+
+var SOURCE_LABELS_ = {
+  retraction_watch: "RW index",
+  crossref: "Crossref",
+  pubmed: "PubMed",
+  openalex: "OpenAlex"
+};
+
+// Retraction Watch "RetractionNature" → status
+var RW_NATURE_STATUS_ = {
+  "retraction": "retracted",
+  "expression of concern": "expression_of_concern",
+  "correction": "corrected",
+  "reinstatement": "ok"
+};
+
+function pickMoreSevere_(a, b) {
+  var sa = STATUS_SCORE_[a] || 0;
+  var sb = STATUS_SCORE_[b] || 0;
+  return sa >= sb ? a : b;
+}
+
+function isRetractedLike_(status) {
+  return (
+    status === "retracted" ||
+    status === "expression_of_concern" ||
+    status === "withdrawn"
+  );
+}
+
+// Crossref work message → status (update-to / updated-by / relation)
+function statusFromCrossref_(message) {
+  var status = "ok";
+  var updates = []
+    .concat(message["update-to"] || message["update_to"] || [])
+    .concat(message["updated-by"] || []);
+
+  for (var i = 0; i < updates.length; i++) {
+    var u = updates[i] || {};
+    var type = String(u["update-type"] || u["update_type"] || u.type || "").toLowerCase();
+    if (type.indexOf("retract") !== -1) {
+      status = pickMoreSevere_(status, "retracted");
+    } else if (type.indexOf("expression") !== -1) {
+      status = pickMoreSevere_(status, "expression_of_concern");
+    } else if (type.indexOf("correction") !== -1 || type.indexOf("erratum") !== -1) {
+      status = pickMoreSevere_(status, "corrected");
+    } else if (type.indexOf("withdraw") !== -1) {
+      status = pickMoreSevere_(status, "withdrawn");
     }
+  }
 
-    var text = resp.getContentText();
-    if (!text) {
-      RW_CACHE = {
-        error: "RW index empty",
-        map: null
-      };
-      return RW_CACHE;
+  var rel = message.relation;
+  if (rel && (rel["is-retracted-by"] || rel["has-retraction"])) {
+    status = "retracted";
+  }
+  return status;
+}
+
+// PubMed publication types → status
+function statusFromPubMedPubtypes_(pubtypes) {
+  var status = "ok";
+  for (var i = 0; i < pubtypes.length; i++) {
+    var pt = String(pubtypes[i]).toLowerCase();
+    if (pt.indexOf("retracted publication") !== -1 || pt.indexOf("retraction of publication") !== -1) {
+      return "retracted";
+    }
+    if (pt.indexOf("expression of concern") !== -1) {
+      return "expression_of_concern";
+    }
+    if (
+      pt.indexOf("erratum") !== -1 ||
+      pt.indexOf("corrigendum") !== -1 ||
+      pt.indexOf("correction") !== -1
+    ) {
+      status = "corrected";
+    }
+  }
+  return status;
+}
+
+// Retraction Watch records → status (the plain DOI list only says "present")
+function statusFromRetractionWatch_(records) {
+  if (!records.length) {
+    return "retracted";
+  }
+  var status = "ok";
+  for (var i = 0; i < records.length; i++) {
+    var nature = String(records[i].nature || "Retraction").toLowerCase();
+    status = pickMoreSevere_(status, RW_NATURE_STATUS_[nature] || "retracted");
+  }
+  return status;
+}
+
+// ===== COMBINED CHECK (Crossref + PubMed + RW + OpenAlex) =====
+
+// Checks a list of normalized DOIs. `oaFlags` maps DOI → OpenAlex is_retracted.
+// Returns { [doi]: { status, sources: { crossref, pubmed, retraction_watch,
+// openalex }, flaggedBy: [source keys], errors: [messages] } }
+function classifyDois_(dois, oaFlags, rwCache) {
+  var crossref = getCrossrefStatuses_(dois);
+  var pubmed = getPubMedStatuses_(dois);
+  var out = {};
+
+  for (var i = 0; i < dois.length; i++) {
+    var doi = dois[i];
+    var rwRecords = rwCache && rwCache.map ? rwCache.map[doi] : null;
+    var sources = {
+      crossref: crossref[doi].status,
+      pubmed: pubmed[doi].status,
+      retraction_watch: rwRecords
+        ? statusFromRetractionWatch_(rwRecords)
+        : (rwCache && rwCache.map ? "no_record" : "not_checked"),
+      openalex: oaFlags[doi] ? "retracted" : "ok"
+    };
+
+    var status = "ok";
+    for (var key in sources) {
+      status = pickMoreSevere_(status, sources[key]);
+    }
+
+    var flaggedBy = [];
+    for (var key2 in sources) {
+      var s = sources[key2];
+      if (isRetractedLike_(status) ? isRetractedLike_(s) : (status !== "ok" && s === status)) {
+        flaggedBy.push(key2);
+      }
+    }
+
+    var errors = [];
+    if (crossref[doi].error) {
+      errors.push(crossref[doi].error);
+    }
+    if (pubmed[doi].error) {
+      errors.push(pubmed[doi].error);
+    }
+
+    out[doi] = { status: status, sources: sources, flaggedBy: flaggedBy, errors: errors };
+  }
+  return out;
+}
+
+// "retracted (Crossref, OpenAlex)" / "not retracted (Crossref/PubMed/…)"
+function describeCheck_(check) {
+  var text = STATUS_LABELS_[check.status] || check.status;
+  if (check.flaggedBy.length) {
+    text += " (" + describeSources_(check.flaggedBy) + ")";
+  } else {
+    text += " (Crossref/PubMed/RW/OpenAlex)";
+  }
+  if (check.errors.length) {
+    text += "; " + check.errors.join("; ");
+  }
+  return text;
+}
+
+// Source keys → "RW index, Crossref"
+function describeSources_(keys) {
+  var names = [];
+  for (var i = 0; i < keys.length; i++) {
+    names.push(SOURCE_LABELS_[keys[i]]);
+  }
+  return names.join(", ");
+}
+
+// ===== Crossref / PubMed lookups =====
+
+// DOI → { status } or { status: "unknown", error }; DOIs unknown to Crossref
+// (e.g. DataCite DOIs) get "no_record"
+function getCrossrefStatuses_(dois) {
+  var out = {};
+  for (var start = 0; start < dois.length; start += CROSSREF_PARALLEL) {
+    var group = dois.slice(start, start + CROSSREF_PARALLEL);
+    var requests = [];
+    for (var i = 0; i < group.length; i++) {
+      requests.push({
+        url: "https://api.crossref.org/works/" + encodeURIComponent(group[i]),
+        muteHttpExceptions: true
+      });
     }
 
-    // Assume one DOI per line (possibly with some blank lines)
-    var lines = text.split(/\r?\n/);
-    var map = {};
-    for (var i = 0; i < lines.length; i++) {
-      var line = lines[i];
-      if (!line) {
+    var fetched = fetchAllWithRetry_(requests, "Crossref");
+    for (var j = 0; j < group.length; j++) {
+      var doi = group[j];
+      var fr = fetched[j];
+      if (fr.error) {
+        out[doi] = { status: "unknown", error: fr.error };
+        continue;
+      }
+      var code = fr.response.getResponseCode();
+      if (code === 404) {
+        out[doi] = { status: "no_record" };
+        continue;
+      }
+      if (code !== 200) {
+        out[doi] = { status: "unknown", error: "Crossref HTTP " + code };
         continue;
       }
-      var norm = normalizeDoi_(line);
-      if (!norm) {
+      try {
+        var json = JSON.parse(fr.response.getContentText());
+        out[doi] = { status: statusFromCrossref_((json && json.message) || {}) };
+      } catch (e) {
+        out[doi] = { status: "unknown", error: "Crossref invalid JSON" };
+      }
+    }
+  }
+  return out;
+}
+
+// PubMed statuses in groups of PUBMED_GROUP_SIZE DOIs
+function getPubMedStatuses_(dois) {
+  var out = {};
+  for (var start = 0; start < dois.length; start += PUBMED_GROUP_SIZE) {
+    if (start) {
+      Utilities.sleep(PUBMED_API_KEY ? 100 : 350); // stay under NCBI's rate limit
+    }
+    var group = getPubMedGroupStatuses_(dois.slice(start, start + PUBMED_GROUP_SIZE));
+    for (var doi in group) {
+      if (group.hasOwnProperty(doi)) {
+        out[doi] = group[doi];
+      }
+    }
+  }
+  return out;
+}
+
+// One esearch (all DOIs OR-ed) + one esummary per call; summaries are mapped
+// back to DOIs through their article IDs. DOIs not in PubMed get "no_record".
+function getPubMedGroupStatuses_(dois) {
+  var out = {};
+  for (var i = 0; i < dois.length; i++) {
+    out[dois[i]] = { status: "no_record" };
+  }
+  if (!dois.length) {
+    return out;
+  }
+
+  function failAll(message) {
+    for (var f = 0; f < dois.length; f++) {
+      out[dois[f]] = { status: "unknown", error: message };
+    }
+    return out;
+  }
+
+  var base = "https://eutils.ncbi.nlm.nih.gov/entrez/eutils/";
+  var keyParam = PUBMED_API_KEY ? "&api_key=" + encodeURIComponent(PUBMED_API_KEY) : "";
+
+  var terms = [];
+  for (var t = 0; t < dois.length; t++) {
+    terms.push('"' + dois[t] + '"[DOI]');
+  }
+  var searchUrl =
+    base + "esearch.fcgi?db=pubmed&retmode=json&retmax=" + (dois.length * 2) +
+    "&term=" + encodeURIComponent(terms.join(" OR ")) + keyParam;
+
+  var frSearch = fetchWithRetry_(searchUrl, { muteHttpExceptions: true }, "PubMed esearch");
+  if (frSearch.error) {
+    return failAll(frSearch.error);
+  }
+  if (frSearch.response.getResponseCode() !== 200) {
+    return failAll("PubMed esearch HTTP " + frSearch.response.getResponseCode());
+  }
+
+  var ids;
+  try {
+    var jsonSearch = JSON.parse(frSearch.response.getContentText());
+    ids = (jsonSearch.esearchresult && jsonSearch.esearchresult.idlist) || [];
+  } catch (e) {
+    return failAll("PubMed esearch invalid JSON");
+  }
+  if (!ids.length) {
+    return out;
+  }
+
+  Utilities.sleep(PUBMED_API_KEY ? 100 : 350); // stay under NCBI's rate limit
+
+  var summaryUrl =
+    base + "esummary.fcgi?db=pubmed&retmode=json&id=" + encodeURIComponent(ids.join(",")) + keyParam;
+  var frSummary = fetchWithRetry_(summaryUrl, { muteHttpExceptions: true }, "PubMed esummary");
+  if (frSummary.error) {
+    return failAll(frSummary.error);
+  }
+  if (frSummary.response.getResponseCode() !== 200) {
+    return failAll("PubMed esummary HTTP " + frSummary.response.getResponseCode());
+  }
+
+  var result;
+  try {
+    result = JSON.parse(frSummary.response.getContentText()).result || {};
+  } catch (e2) {
+    return failAll("PubMed esummary invalid JSON");
+  }
+
+  var uids = result.uids || [];
+  for (var u = 0; u < uids.length; u++) {
+    var summary = result[uids[u]];
+    var articleIds = (summary && summary.articleids) || [];
+    for (var a = 0; a < articleIds.length; a++) {
+      if (articleIds[a].idtype !== "doi") {
         continue;
       }
-      map[norm] = true;
+      var doi = normalizeDoi_(articleIds[a].value);
+      if (out.hasOwnProperty(doi)) {
+        out[doi] = { status: statusFromPubMedPubtypes_(summary.pubtype || []) };
+      }
     }
+  }
+  return out;
+}
 
-    RW_CACHE = { error: null, map: map };
+// ===== Retraction Watch index loader =====
+// The parsed index is kept in a Drive file between executions (the TSV is
+// several MB, far beyond CacheService/PropertiesService value limits); its
+// ETag, content hash and date live in script properties. Upstream is
+// re-checked at most every RW_RECHECK_MS, and only re-parsed and re-stored
+// when it actually changed. Pass forceCheck to re-check right away.
+function getRetractionWatchCache_(forceCheck) {
+  if (RW_CACHE !== null && !forceCheck) {
     return RW_CACHE;
+  }
+
+  var props = PropertiesService.getScriptProperties();
+  var info = JSON.parse(props.getProperty(RW_STORE_PROPERTY) || "null");
+  var map = info ? readStoredRetractionWatchMap_(info) : null;
+  if (!map) {
+    info = null;
+  }
+
+  if (info && !forceCheck && Date.now() - info.checkedAt < RW_RECHECK_MS) {
+    RW_CACHE = { error: null, map: map, info: info };
+    return RW_CACHE;
+  }
+
+  var fresh = downloadRetractionWatchIndex_(info);
+  if (fresh.error) {
+    // Upstream unreachable: keep screening with the stored copy if there is one
+    RW_CACHE = info
+      ? { error: null, map: map, info: info, warning: fresh.error }
+      : { error: fresh.error, map: null, info: null };
+    return RW_CACHE;
+  }
+
+  if (fresh.notModified) {
+    info.checkedAt = Date.now();
+  } else {
+    map = fresh.map;
+    info = {
+      fileId: storeRetractionWatchMap_(map, info),
+      url: fresh.url,
+      format: fresh.format,
+      etag: fresh.etag,
+      hash: fresh.hash,
+      count: Object.keys(map).length,
+      lastModified: fresh.lastModified,
+      downloadedAt: Date.now(),
+      checkedAt: Date.now()
+    };
+  }
+  if (info.fileId) {
+    props.setProperty(RW_STORE_PROPERTY, JSON.stringify(info));
+  }
+  RW_CACHE = { error: null, map: map, info: info };
+  return RW_CACHE;
+}
+
+// Menu: re-check upstream now and show which index version is in use
+function refreshRetractionWatchIndex() {
+  var rw = getRetractionWatchCache_(true);
+  SpreadsheetApp.getActive().toast(
+    "Retraction Radar: " + describeRetractionWatchIndex_(rw),
+    rw.error || rw.warning ? "Retraction Watch index – problem" : "Retraction Watch index",
+    8
+  );
+}
+
+// Rich TSV first (retraction nature per record), plain DOI list as fallback.
+// Returns { notModified: true } when the stored copy (`info`) is still
+// current – by ETag (304) or, without one, by content hash.
+function downloadRetractionWatchIndex_(info) {
+  var sources = [
+    { url: RETRACTION_WATCH_TSV_URL, format: "TSV", label: "RW TSV" },
+    { url: RETRACTION_WATCH_INDEX_URL, format: "DOI list", label: "RW index" }
+  ];
+  var lastError = null;
+
+  for (var i = 0; i < sources.length; i++) {
+    var src = sources[i];
+    var stored = info && info.url === src.url ? info : null;
+    var got = fetchText_(src.url, src.label, stored ? stored.etag : null);
+    if (got.notModified) {
+      return { notModified: true };
+    }
+    if (got.error) {
+      lastError = got.error;
+      continue;
+    }
+
+    var hash = md5Hex_(got.text);
+    if (stored && stored.hash === hash) {
+      return { notModified: true };
+    }
+    var map =
+      src.format === "TSV" ? parseRetractionWatchTsv_(got.text) : parseRetractionWatchDoiList_(got.text);
+    if (!map) {
+      lastError = src.label + " has no doi column";
+      continue;
+    }
+    return {
+      map: map,
+      url: src.url,
+      format: src.format,
+      etag: got.etag,
+      lastModified: got.lastModified,
+      hash: hash
+    };
+  }
+
+  return { error: lastError };
+}
+
+// Drive copy: { [normalizedDoi]: [nature, …] }. Returns the file id, or null
+// when Drive is not available (the index is then only kept for this run).
+function storeRetractionWatchMap_(map, info) {
+  var compact = {};
+  for (var doi in map) {
+    var natures = [];
+    for (var i = 0; i < map[doi].length; i++) {
+      natures.push(map[doi][i].nature);
+    }
+    compact[doi] = natures;
+  }
+  var content = JSON.stringify(compact);
+
+  try {
+    if (info && info.fileId) {
+      try {
+        var existing = DriveApp.getFileById(info.fileId);
+        existing.setContent(content);
+        return existing.getId();
+      } catch (e) {
+        // deleted or not accessible any more – create a new one
+      }
+    }
+    return DriveApp.createFile(RW_STORE_FILE_NAME, content, MimeType.PLAIN_TEXT).getId();
+  } catch (e2) {
+    Logger.log("Could not store the Retraction Watch index in Drive: " + e2);
+    return null;
+  }
+}
+
+function readStoredRetractionWatchMap_(info) {
+  if (!info.fileId) {
+    return null;
+  }
+  var compact;
+  try {
+    compact = JSON.parse(DriveApp.getFileById(info.fileId).getBlob().getDataAsString());
   } catch (e) {
-    RW_CACHE = {
-      error: "RW index exception: " + e,
-      map: null
+    return null;
+  }
+  var map = {};
+  for (var doi in compact) {
+    var records = [];
+    for (var i = 0; i < compact[doi].length; i++) {
+      records.push({ nature: compact[doi][i] });
+    }
+    map[doi] = records;
+  }
+  return map;
+}
+
+// Index version for column T and toasts, e.g.
+// "TSV 3f9a1c02de · 2026-10-19 06:12 UTC · 61234 DOIs"
+function describeRetractionWatchIndex_(rw) {
+  if (!rw.info) {
+    return "RW index unavailable (" + rw.error + ")";
+  }
+  var info = rw.info;
+  var date = new Date(info.lastModified || info.downloadedAt);
+  var text =
+    info.format + " " + String(info.hash).slice(0, 10) + " · " +
+    date.toISOString().slice(0, 16).replace("T", " ") + " UTC · " +
+    info.count + " DOIs";
+  if (rw.warning) {
+    text += " (stored copy; upstream check failed: " + rw.warning + ")";
+  }
+  return text;
+}
+
+// Conditional GET when an ETag is given: { notModified: true } on 304,
+// otherwise { text, etag, lastModified } or { error }.
+function fetchText_(url, label, etag) {
+  var options = { muteHttpExceptions: true };
+  if (etag) {
+    options.headers = { "If-None-Match": etag };
+  }
+  try {
+    var resp = UrlFetchApp.fetch(url, options);
+    var code = resp.getResponseCode();
+    if (code === 304 && etag) {
+      return { notModified: true };
+    }
+    if (code !== 200) {
+      return { error: label + " HTTP " + code };
+    }
+    var text = resp.getContentText();
+    if (!text) {
+      return { error: label + " empty" };
+    }
+    var headers = resp.getHeaders();
+    return {
+      text: text,
+      etag: headerValue_(headers, "ETag"),
+      lastModified: headerValue_(headers, "Last-Modified")
     };
-    return RW_CACHE;
+  } catch (e) {
+    return { error: label + " exception: " + e };
+  }
+}
+
+// Response header names come back in whatever case the server used
+function headerValue_(headers, name) {
+  var wanted = name.toLowerCase();
+  for (var key in headers) {
+    if (key.toLowerCase() === wanted) {
+      return String(headers[key]);
+    }
+  }
+  return null;
+}
+
+function md5Hex_(text) {
+  var bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8);
+  var hex = "";
+  for (var i = 0; i < bytes.length; i++) {
+    var b = (bytes[i] + 256) % 256;
+    hex += (b < 16 ? "0" : "") + b.toString(16);
+  }
+  return hex;
+}
+
+// Plain list: one DOI per line (possibly with some blank lines)
+function parseRetractionWatchDoiList_(text) {
+  var lines = text.split(/\r?\n/);
+  var map = {};
+  for (var i = 0; i < lines.length; i++) {
+    var norm = normalizeDoi_(lines[i]);
+    if (!norm) {
+      continue;
+    }
+    map[norm] = [];
+  }
+  return map;
+}
+
+// Header row names the columns (doi, nature, …); one line per RW record.
+// Returns null when the header has no doi column.
+function parseRetractionWatchTsv_(text) {
+  var lines = text.split(/\r?\n/);
+  var header = lines[0].toLowerCase().split("\t");
+  var iDoi = header.indexOf("doi");
+  var iNature = header.indexOf("nature");
+  if (iDoi === -1) {
+    return null;
   }
+
+  var map = {};
+  for (var i = 1; i < lines.length; i++) {
+    if (!lines[i]) {
+      continue;
+    }
+    var cells = lines[i].split("\t");
+    var norm = normalizeDoi_(cells[iDoi]);
+    if (!norm) {
+      continue;
+    }
+    if (!map[norm]) {
+      map[norm] = [];
+    }
+    map[norm].push({ nature: iNature === -1 ? "" : String(cells[iNature] || "").trim() });
+  }
+  return map;
 }
 
 // ===== Helpers =====
@@ -511,6 +1322,18 @@ function normalizeDoi_(doi) {
   return s.toLowerCase();
 }
 
+function uniqueList_(list) {
+  var seen = {};
+  var out = [];
+  for (var i = 0; i < list.length; i++) {
+    if (!seen[list[i]]) {
+      seen[list[i]] = true;
+      out.push(list[i]);
+    }
+  }
+  return out;
+}
+
 // Generic fetch with retry + backoff (handles 429)
 function fetchWithRetry_(url, options, label) {
   var maxRetries = 2;
@@ -544,3 +1367,56 @@ function fetchWithRetry_(url, options, label) {
 
   return { error: label + " unknown fetch failure" };
 }
+
+// Like fetchWithRetry_ for UrlFetchApp.fetchAll: only the requests that got
+// HTTP 429 (or the whole group, on a network error) are retried. Returns one
+// { response } or { error } per request, in order.
+function fetchAllWithRetry_(requests, label) {
+  var maxRetries = 2;
+  var delayMs = 3000;
+  var out = [];
+  var pending = [];
+  for (var i = 0; i < requests.length; i++) {
+    pending.push(i);
+  }
+
+  for (var attempt = 0; attempt <= maxRetries && pending.length; attempt++) {
+    if (attempt > 0) {
+      Utilities.sleep(delayMs);
+      delayMs *= 2;
+    }
+
+    var group = [];
+    for (var g = 0; g < pending.length; g++) {
+      group.push(requests[pending[g]]);
+    }
+
+    var responses;
+    try {
+      responses = UrlFetchApp.fetchAll(group);
+    } catch (e) {
+      if (attempt === maxRetries) {
+        for (var n = 0; n < pending.length; n++) {
+          out[pending[n]] = { error: label + " network error: " + e };
+        }
+      }
+      continue;
+    }
+
+    var retry = [];
+    for (var r = 0; r < responses.length; r++) {
+      if (responses[r].getResponseCode() === 429) {
+        if (attempt === maxRetries) {
+          out[pending[r]] = { error: label + " HTTP 429 (rate limited)" };
+        } else {
+          retry.push(pending[r]);
+        }
+      } else {
+        out[pending[r]] = { response: responses[r] };
+      }
+    }
+    pending = retry;
+  }
+
+  return out;
+}
@@ -0,0 +1,74 @@
+// Retraction Radar – service worker (offline use)
+// - App shell (page, scripts, manifest, icon): network first, cached copy
+//   when offline, so a deployment is picked up on the next online visit
+// - Everything else (the Retraction Watch index, its manifest and deltas, API
+//   calls) goes to the network: the page keeps its own index snapshot in
+//   IndexedDB (core.js, RETRACTION WATCH SNAPSHOT), with or without a manifest
+
+// Bump when SHELL_FILES changes
+const CACHE_NAME = "retraction-radar-v2";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "assets/js/core.js",
+  "assets/js/app.js",
+  "assets/icon.svg",
+  "manifest.webmanifest",
+];
+
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+// ==================== APP SHELL ====================
+
+async function networkFirst(request, href) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(href, response.clone());
+    return response;
+  } catch (err) {
+    // Permalinks (index.html?doi=…) and the bare directory share one copy
+    const cached =
+      (await cache.match(href)) ||
+      (request.mode === "navigate" ? await cache.match(scopedUrl("index.html")) : null);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// ==================== LIFECYCLE ====================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.addAll(SHELL_FILES);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((n) => n !== CACHE_NAME).map((n) => caches.delete(n)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const href = url.origin + url.pathname;
+  if (!SHELL_FILES.some((path) => scopedUrl(path) === href)) return;
+  event.respondWith(networkFirst(request, href));
+});
@@ -0,0 +1,61 @@
+// Parsing pasted or uploaded bibliographies. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { loadApp } = require("./helpers/load-app");
+
+const { ctx } = loadApp();
+const call = (fn, arg) => {
+  ctx.arg = arg;
+  return JSON.parse(JSON.stringify(vm.runInContext(`${fn}(arg)`, ctx)));
+};
+
+test("plain-text citations get their title, not the whole line", () => {
+  const entries = call(
+    "parsePlainReferences",
+    [
+      "1. Smith J, Doe AB. Aspirin and outcomes in trials. Lancet. 2001;357:1-5.",
+      "2. Smith, J., & Doe, A. (2020). Deep learning for retraction detection. J Stuff, 12(3), 45–67.",
+      "3. Roe, R. 2019. A study of things in places. Nature 12: 3-4.",
+      '4. Poe J. "Why most published research findings are false." PLoS Med 2005;2:e124.',
+      "5. Some notes without a recognisable structure, 2004",
+    ].join("\n")
+  );
+  assert.deepStrictEqual(
+    entries.map((e) => e.title),
+    [
+      "Aspirin and outcomes in trials",
+      "Deep learning for retraction detection",
+      "A study of things in places",
+      "Why most published research findings are false",
+      "",
+    ]
+  );
+  assert.deepStrictEqual(
+    entries.map((e) => e.year),
+    [2001, 2020, 2019, 2005, 2004]
+  );
+  assert.ok(entries[4].raw.startsWith("Some notes"));
+});
+
+test("CSL-JSON items that are not objects are skipped", () => {
+  const entries = call(
+    "parseCslJson",
+    JSON.stringify([
+      null,
+      { title: "Aspirin and outcomes", DOI: "10.1000/a", issued: { "date-parts": [[2001]] } },
+      "not an item",
+      [1, 2],
+      { title: "Second", author: [{ family: "Doe", given: "A" }] },
+    ])
+  );
+  assert.deepStrictEqual(
+    entries.map((e) => [e.title, e.doi, e.year]),
+    [
+      ["Aspirin and outcomes", "10.1000/a", 2001],
+      ["Second", null, ""],
+    ]
+  );
+  assert.deepStrictEqual(entries[1].authors, ["Doe, A"]);
+  assert.deepStrictEqual(call("parseCslJson", "null"), []);
+});
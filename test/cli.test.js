@@ -0,0 +1,61 @@
+// The command-line tool against mocked APIs (test/fixtures/mock-apis.js).
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+
+function runCli(args, env = {}) {
+  return spawnSync(
+    process.execPath,
+    ["--require", "./test/fixtures/mock-apis.js", "bin/retraction-radar.js", ...args],
+    { cwd: ROOT, encoding: "utf8", timeout: 30000, env: { ...process.env, ...env } }
+  );
+}
+
+const RW_INDEX = ["--rw-index", "test/fixtures/rw-index.tsv"];
+
+test("JSON output stays clean on stdout, with lookup warnings on stderr", () => {
+  const run = runCli(["--format", "json", "--verbose", ...RW_INDEX, "10.1000/focal"]);
+  assert.strictEqual(run.status, 1, run.stderr);
+  const out = JSON.parse(run.stdout);
+  const article = out.articles[0];
+  assert.strictEqual(article.verdict, "cites_retracted");
+  assert.deepStrictEqual(
+    article.references.map((r) => [r.doi, r.status]),
+    [
+      ["https://doi.org/10.1000/crossref-ref", "retracted"],
+      ["https://doi.org/10.1000/rw-ref", "retracted"],
+    ]
+  );
+  assert.strictEqual(out.retractionWatch.format, "rich");
+});
+
+test("a recorded bundle replays without network to the same results", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "retraction-radar-"));
+  const bundle = path.join(dir, "bundle.json");
+  try {
+    const recorded = runCli([
+      "--format", "json", "--email", "me@example.org", "--bundle", bundle, ...RW_INDEX, "10.1000/focal",
+    ]);
+    assert.strictEqual(recorded.status, 1, recorded.stderr);
+    const saved = JSON.parse(fs.readFileSync(bundle, "utf8"));
+    assert.ok(!JSON.stringify(saved).includes("me@example.org"), "contact email in the bundle");
+
+    const replayed = runCli(["--format", "json", "--replay", bundle], { MOCK_APIS_OFFLINE: "1" });
+    assert.strictEqual(replayed.status, 1, replayed.stderr);
+    assert.match(replayed.stderr, /identical to the recorded results/);
+    const before = JSON.parse(recorded.stdout).articles[0];
+    const after = JSON.parse(replayed.stdout).articles[0];
+    assert.deepStrictEqual(
+      after.references.map((r) => [r.doi, r.status, r.retractionDate]),
+      before.references.map((r) => [r.doi, r.status, r.retractionDate])
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
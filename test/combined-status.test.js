@@ -0,0 +1,72 @@
+// One DOI checked against every source: the most severe status wins and each
+// source keeps its own evidence. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadCore } = require("./helpers/load-app");
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+function coreWith({ crossref = {}, rwRecords = null }) {
+  const core = loadCore({
+    fetch: async (url) => {
+      if (url.includes("api.crossref.org")) return json({ message: crossref });
+      if (url.includes("esearch.fcgi")) return json({ esearchresult: { idlist: [] } });
+      return { ok: false, status: 404, headers: { get: () => null } };
+    },
+  });
+  core.setRetractionWatchIndexLoader(async () => ({
+    index: new Map(rwRecords ? [["10.1000/x", rwRecords]] : []),
+    format: "rich",
+  }));
+  core.setRunOptions();
+  return core;
+}
+
+test("a Retraction Watch retraction outweighs a Crossref correction", async () => {
+  const core = coreWith({
+    crossref: { "updated-by": [{ "update-type": "correction", updated: { "date-parts": [[2018, 2, 3]] } }] },
+    rwRecords: [{ nature: "Retraction", date: "2019-04-02", reasons: ["Paper mill"], noticeDoi: "" }],
+  });
+  const info = await core.getCombinedRetractionInfoForDoi("https://doi.org/10.1000/X", false);
+  assert.strictEqual(info.status, "retracted");
+  assert.strictEqual(info.retractionDate, "2019-04-02");
+  assert.strictEqual(info.retractionDateSource, "Retraction Watch");
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(info.evidence).map(([k, v]) => [k, v.status])),
+    { crossref: "corrected", pubmed: "no_record", retraction_watch: "retracted", openalex: "ok" }
+  );
+});
+
+test("the earliest retraction date of any source is kept", async () => {
+  const core = coreWith({
+    crossref: { "updated-by": [{ "update-type": "retraction", updated: { "date-parts": [[2018, 2, 3]] } }] },
+    rwRecords: [{ nature: "Retraction", date: "2019-04-02", reasons: [], noticeDoi: "" }],
+  });
+  const info = await core.getCombinedRetractionInfoForDoi("10.1000/x", false);
+  assert.strictEqual(info.retractionDate, "2018-02-03");
+  assert.strictEqual(info.retractionDateSource, "Crossref");
+});
+
+test("OpenAlex's is_retracted flag alone marks the work retracted", async () => {
+  const core = coreWith({});
+  const info = await core.getCombinedRetractionInfoForDoi("10.1000/x", true);
+  assert.strictEqual(info.status, "retracted");
+  assert.strictEqual(info.evidence.openalex.status, "retracted");
+  assert.strictEqual(info.evidence.retraction_watch.status, "no_record");
+});
+
+test("a source turned off in the settings is not consulted", async () => {
+  const core = coreWith({
+    rwRecords: [{ nature: "Retraction", date: "2019-04-02", reasons: [], noticeDoi: "" }],
+  });
+  core.applySettings({ disabledSources: ["retraction_watch"] });
+  const info = await core.getCombinedRetractionInfoForDoi("10.1000/x", false);
+  assert.strictEqual(info.status, "ok");
+  assert.strictEqual(info.evidence.retraction_watch.status, "not_checked");
+});
@@ -0,0 +1,35 @@
+// Matching references without a DOI to Crossref records. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { loadCoreContext } = require("./helpers/load-app");
+
+const ctx = loadCoreContext();
+const work = {
+  display_name: "Aspirin and outcomes in randomised trials",
+  publication_year: 2001,
+  authorships: [{ author: { display_name: "Smith, John" } }],
+};
+const item = (title, year, family) => ({
+  title: [title],
+  issued: { "date-parts": [[year]] },
+  author: [{ family }],
+});
+
+test("title, year and first author together give full confidence", () => {
+  assert.strictEqual(
+    ctx.scoreBibliographicMatch(work, item("Aspirin and outcomes in randomised trials", 2001, "Smith")),
+    1
+  );
+});
+
+test("a different year and author lower the confidence", () => {
+  const score = ctx.scoreBibliographicMatch(work, item("Aspirin and outcomes in randomised trials", 2004, "Jones"));
+  assert.strictEqual(score, 0.6);
+  assert.ok(score < vm.runInContext("DOI_MATCH_MIN_CONFIDENCE", ctx));
+});
+
+test("title similarity ignores case, punctuation and markup", () => {
+  assert.strictEqual(ctx.titleSimilarity("Aspirin: <i>and</i> Outcomes!", "aspirin and outcomes"), 1);
+  assert.strictEqual(ctx.titleSimilarity("", "aspirin"), 0);
+});
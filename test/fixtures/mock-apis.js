@@ -0,0 +1,65 @@
+// Preloaded into the CLI by the tests (node --require): answers the OpenAlex,
+// Crossref and PubMed calls for one small article. With MOCK_APIS_OFFLINE set,
+// every request fails instead, as without network.
+const work = (id, doi, extra = {}) => ({
+  id: "https://openalex.org/" + id,
+  doi: doi ? "https://doi.org/" + doi : null,
+  display_name: "Work " + id,
+  publication_year: 2020,
+  publication_date: "2020-06-15",
+  is_retracted: false,
+  referenced_works: [],
+  authorships: [],
+  ids: {},
+  ...extra,
+});
+
+const WORKS = {
+  W1: work("W1", "10.1000/focal", {
+    referenced_works: ["W2", "W3", "W4"].map((id) => "https://openalex.org/" + id),
+  }),
+  W2: work("W2", "10.1000/crossref-ref", { publication_year: 2015 }),
+  W3: work("W3", "10.1000/ok-ref", { publication_year: 2016 }),
+  W4: work("W4", "10.1000/rw-ref", { publication_year: 2017 }),
+};
+
+const CROSSREF = {
+  "10.1000/crossref-ref": {
+    "updated-by": [{ "update-type": "retraction", updated: { "date-parts": [[2018, 1, 10]] } }],
+  },
+};
+
+function respond(status, body) {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const res = {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+    clone: () => res,
+  };
+  return res;
+}
+
+globalThis.fetch = async (input) => {
+  const url = decodeURIComponent(String(input));
+  if (process.env.MOCK_APIS_OFFLINE) throw new TypeError("fetch failed: " + url);
+  let m;
+  if ((m = url.match(/api\.openalex\.org\/works\/https:\/\/doi\.org\/([^?]+)/))) {
+    const found = Object.values(WORKS).find((w) => w.doi === "https://doi.org/" + m[1]);
+    return found ? respond(200, found) : respond(404, {});
+  }
+  if ((m = url.match(/api\.openalex\.org\/works\/(W\d+)/))) {
+    return WORKS[m[1]] ? respond(200, WORKS[m[1]]) : respond(404, {});
+  }
+  if ((m = url.match(/api\.openalex\.org\/works\?filter=openalex:([^&]+)/))) {
+    const ids = m[1].split("|");
+    return respond(200, { results: ids.map((id) => WORKS[id]).filter(Boolean) });
+  }
+  if ((m = url.match(/api\.crossref\.org\/works\/([^?]+)/))) {
+    return respond(200, { message: CROSSREF[m[1]] || {} });
+  }
+  if (url.includes("esearch.fcgi")) return respond(200, { esearchresult: { idlist: [] } });
+  return respond(404, {});
+};
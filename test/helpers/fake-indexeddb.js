@@ -0,0 +1,40 @@
+// In-memory stand-in for the part of IndexedDB core.js uses: one database
+// with object stores keyed by `key`. Pages loaded with the same instance
+// share its records, like two visits in one browser.
+function request(run) {
+  const req = {};
+  setTimeout(() => {
+    req.result = run();
+    if (req.onsuccess) req.onsuccess();
+  });
+  return req;
+}
+
+function fakeIndexedDB() {
+  const stores = new Map();
+  const db = {
+    createObjectStore(name) {
+      stores.set(name, new Map());
+    },
+    transaction(name) {
+      const records = stores.get(name);
+      return {
+        objectStore: () => ({
+          get: (key) => request(() => records.get(key)),
+          put: (rec) => request(() => records.set(rec.key, rec)),
+        }),
+      };
+    },
+  };
+  return {
+    stores,
+    open() {
+      return request(() => {
+        if (!stores.size) db.createObjectStore("lookups");
+        return db;
+      });
+    },
+  };
+}
+
+module.exports = { fakeIndexedDB };
@@ -0,0 +1,93 @@
+// Loads core.js (and app.js, with a minimal fake DOM) into a VM context, as
+// the page does, for tests that need their own fetch or the page's functions.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+// Just enough DOM for app.js to load and render rows
+function fakeElement() {
+  return {
+    style: {},
+    dataset: {},
+    children: [],
+    innerHTML: "",
+    textContent: "",
+    value: "",
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    insertBefore() {},
+    removeChild() {},
+    setAttribute() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    parentNode: { insertBefore() {} },
+  };
+}
+
+function loadApp(globals = {}) {
+  const elements = {};
+  const ctx = {
+    console: { ...console, warn() {}, log() {} },
+    setTimeout,
+    clearTimeout,
+    setInterval: () => 0,
+    URL,
+    URLSearchParams,
+    AbortController,
+    fetch: async () => ({ ok: false, status: 503, text: async () => "" }),
+    navigator: {},
+    window: {
+      location: { search: "", href: "http://localhost/", protocol: "http:" },
+      history: { replaceState() {} },
+      getComputedStyle: () => ({}),
+      addEventListener() {},
+    },
+    document: {
+      getElementById: (id) => (elements[id] = elements[id] || fakeElement()),
+      createElement: fakeElement,
+      createTextNode: fakeElement,
+      querySelectorAll: () => [],
+      body: fakeElement(),
+    },
+    localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+    ...globals,
+  };
+  vm.createContext(ctx);
+  for (const file of ["assets/js/core.js", "assets/js/app.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), ctx, { filename: file });
+  }
+  return { ctx, elements };
+}
+
+// A fresh core.js with its own globals (fetch, timers…) and module state;
+// the VM context, whose globals include core.js's private functions
+function loadCoreContext(globals = {}) {
+  const ctx = {
+    console: { ...console, warn() {}, log() {} },
+    setTimeout,
+    clearTimeout,
+    URL,
+    URLSearchParams,
+    AbortController,
+    module: { exports: {} },
+    ...globals,
+  };
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "assets/js/core.js"), "utf8"), ctx, {
+    filename: "assets/js/core.js",
+  });
+  return ctx;
+}
+
+// core.js's public functions (module.exports), as the CLI sees them
+function loadCore(globals = {}) {
+  return loadCoreContext(globals).module.exports;
+}
+
+module.exports = { loadApp, loadCore, loadCoreContext };
@@ -0,0 +1,40 @@
+// Recognising what was typed as the focal article. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const core = require("../assets/js/core.js");
+
+const detect = (text) => ({ ...core.detectWorkIdentifier(text) });
+
+test("DOIs in any common form", () => {
+  for (const text of ["10.1000/ABC.1", "doi:10.1000/abc.1", "https://doi.org/10.1000/abc.1"]) {
+    assert.deepStrictEqual(detect(text), { type: "doi", value: "10.1000/abc.1" });
+  }
+});
+
+test("PMIDs, PMCIDs, arXiv and OpenAlex IDs", () => {
+  const cases = [
+    ["12345678", { type: "pmid", value: "12345678" }],
+    ["PMID: 12345678", { type: "pmid", value: "12345678" }],
+    ["https://pubmed.ncbi.nlm.nih.gov/12345678/", { type: "pmid", value: "12345678" }],
+    ["pmc1234567", { type: "pmcid", value: "PMC1234567" }],
+    ["https://www.ncbi.nlm.nih.gov/pmc/articles/PMC1234567/", { type: "pmcid", value: "PMC1234567" }],
+    ["arxiv:2101.00001v2", { type: "arxiv", value: "2101.00001" }],
+    ["https://arxiv.org/abs/hep-th/9901001", { type: "arxiv", value: "hep-th/9901001" }],
+    ["https://arxiv.org/pdf/2101.00001.pdf", { type: "arxiv", value: "2101.00001" }],
+    ["w2741809807", { type: "openalex", value: "W2741809807" }],
+    ["https://openalex.org/W2741809807", { type: "openalex", value: "W2741809807" }],
+  ];
+  for (const [text, expected] of cases) assert.deepStrictEqual(detect(text), expected, text);
+});
+
+test("anything else is a title to search for", () => {
+  assert.deepStrictEqual(detect("  Aspirin and outcomes  "), { type: "title", value: "Aspirin and outcomes" });
+  assert.strictEqual(core.detectWorkIdentifier("   "), null);
+});
+
+test("the text form of an identifier reads back as the same identifier", () => {
+  for (const text of ["pmid:123", "arxiv:2101.00001", "PMC99", "W1", "10.1000/x"]) {
+    const id = core.detectWorkIdentifier(text);
+    assert.deepStrictEqual(detect(core.formatWorkIdentifier(id)), { ...id });
+  }
+});
@@ -0,0 +1,27 @@
+// Batched OpenAlex lookups of reference IDs. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadCoreContext } = require("./helpers/load-app");
+
+const work = (id) => ({ id: "https://openalex.org/" + id, doi: null, display_name: "Work " + id });
+
+function respond(status, body) {
+  return { ok: status === 200, status, headers: { get: () => null }, json: async () => body };
+}
+
+test("IDs of a failed batch request are looked up one by one", async () => {
+  const urls = [];
+  const ctx = loadCoreContext({
+    fetch: async (url) => {
+      urls.push(url);
+      if (url.includes("filter=openalex")) return respond(400, {});
+      const m = url.match(/\/works\/(W\d+)/);
+      return m && m[1] !== "W9" ? respond(200, work(m[1])) : respond(404, {});
+    },
+  });
+  ctx.setRunOptions();
+  const works = await ctx.fetchOpenAlexWorksByIds(["https://openalex.org/W1", "W2", "W9"]);
+  assert.deepStrictEqual([...works.keys()].sort(), ["W1", "W2"]);
+  assert.strictEqual(urls.filter((u) => u.includes("filter=openalex")).length, 1);
+  assert.strictEqual(urls.filter((u) => /\/works\/W\d/.test(u)).length, 3);
+});
@@ -0,0 +1,72 @@
+// Merging the OpenAlex and Crossref reference lists of one article.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadCoreContext } = require("./helpers/load-app");
+
+const OPENALEX = {
+  W1: { id: "https://openalex.org/W1", doi: "https://doi.org/10.1000/both" },
+  W2: { id: "https://openalex.org/W2", doi: "https://doi.org/10.1000/openalex-only" },
+};
+const CROSSREF_REFS = [
+  { key: "r1", DOI: "10.1000/BOTH" },
+  { key: "r2", DOI: "10.1000/crossref-only" },
+  { key: "r3", unstructured: "Roe R. A reference without DOI. 2001." },
+];
+
+function respond(status, body) {
+  return { ok: status === 200, status, headers: { get: () => null }, json: async () => body };
+}
+
+function coreWith(openAlex) {
+  const ctx = loadCoreContext({
+    fetch: async (url) => {
+      if (url.includes("api.crossref.org")) return respond(200, { message: { reference: CROSSREF_REFS } });
+      const batch = decodeURIComponent(url).match(/filter=openalex:([^&]+)/);
+      if (batch) return respond(200, { results: batch[1].split("|").map((id) => openAlex[id]).filter(Boolean) });
+      const single = url.match(/\/works\/(W\d+)/);
+      return single && openAlex[single[1]] ? respond(200, openAlex[single[1]]) : respond(404, {});
+    },
+  });
+  ctx.setRunOptions();
+  return ctx;
+}
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("Crossref references are matched to OpenAlex ones by DOI", async () => {
+  const ctx = coreWith(OPENALEX);
+  const merged = await ctx.mergeReferenceLists(["https://openalex.org/W1", "https://openalex.org/W2"], "10.1000/focal");
+  assert.deepStrictEqual(plain(merged.coverage), {
+    openalex: 2,
+    crossref: 3,
+    both: 1,
+    openalexOnly: 1,
+    crossrefOnly: 1,
+    crossrefUnmerged: 1,
+    crossrefError: "",
+    openalexUnresolved: 0,
+  });
+  assert.strictEqual(merged.items.length, 3);
+  assert.strictEqual(merged.items[2].doi, "10.1000/crossref-only");
+  assert.strictEqual(
+    ctx.describeReferenceCoverage(merged.coverage),
+    "1 in both, 1 OpenAlex only, 1 Crossref only (1 Crossref entries without DOI not merged)"
+  );
+});
+
+test("nothing is merged while some OpenAlex references could not be fetched", async () => {
+  const ctx = coreWith({ W1: OPENALEX.W1 });
+  const merged = await ctx.mergeReferenceLists(["https://openalex.org/W1", "https://openalex.org/W2"], "10.1000/focal");
+  assert.strictEqual(merged.items.length, 2);
+  assert.strictEqual(merged.coverage.openalexUnresolved, 1);
+  assert.strictEqual(merged.coverage.crossrefOnly, 0);
+  assert.match(ctx.describeReferenceCoverage(merged.coverage), /1 could not be fetched, so the 3 Crossref entries were not merged/);
+});
+
+test("without OpenAlex references the whole Crossref list is used", async () => {
+  const ctx = coreWith({});
+  const merged = await ctx.mergeReferenceLists([], "10.1000/focal");
+  assert.strictEqual(merged.items.length, 3);
+  assert.strictEqual(merged.coverage.crossrefOnly, 3);
+});
@@ -0,0 +1,47 @@
+// Renders references built from pasted bibliography text and checks that
+// markup in them is shown as text, never parsed. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { loadApp } = require("./helpers/load-app");
+
+test("bibliography text with markup is escaped in the results table", () => {
+  const { ctx, elements } = loadApp();
+  const text = fs.readFileSync(path.join(__dirname, "fixtures", "bibliography-markup.txt"), "utf8");
+  ctx.text = text;
+  const entries = vm.runInContext("parsePlainReferences(text)", ctx);
+  assert.strictEqual(entries.length, 2);
+
+  entries.forEach((entry, i) => {
+    ctx.ref = {
+      idx: i + 1,
+      status: "problem_no_doi",
+      year: entry.year,
+      title: entry.title,
+      citation: entry.raw,
+      notes: "No DOI available: " + entry.raw,
+    };
+    vm.runInContext("appendRefRow(ref)", ctx);
+  });
+
+  const rows = elements.resultsBody.children.map((tr) => tr.innerHTML).join("\n");
+  assert.ok(!/<img|<script/i.test(rows), "markup from the bibliography reached the HTML");
+  assert.ok(rows.includes("&lt;img src=x onerror="));
+  assert.ok(rows.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+});
+
+test("OpenAlex links from a replayed bundle only point to openalex.org", () => {
+  const { ctx, elements } = loadApp();
+  const ids = ["https://openalex.org/W123", 'javascript:alert(1)" onmouseover="alert(2)'];
+  ids.forEach((openAlexId, i) => {
+    ctx.ref = { idx: i + 1, status: "problem_no_doi", title: "T", openAlexId };
+    vm.runInContext("appendRefRow(ref)", ctx);
+  });
+
+  const [valid, forged] = elements.resultsBody.children.map((tr) => tr.innerHTML);
+  assert.ok(valid.includes('<a href="https://openalex.org/W123"'));
+  assert.ok(!/<a |onmouseover="/.test(forged), "forged OpenAlex ID reached an attribute");
+  assert.ok(forged.includes("OpenAlex javascript:alert(1)&quot; onmouseover=&quot;alert(2)"));
+});
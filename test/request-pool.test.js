@@ -0,0 +1,54 @@
+// Retries and stops in the per-host request pool. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadCore } = require("./helpers/load-app");
+
+const response = (status, headers = {}) => ({
+  ok: status === 200,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+});
+
+// Like the browser's fetch: an abort rejects with the signal's reason as is
+function fetchPendingUntilAbort(url, options) {
+  return new Promise((resolve, reject) => {
+    options.signal.addEventListener("abort", () => reject(options.signal.reason));
+  });
+}
+
+test("a rate-limited request is retried after Retry-After", async () => {
+  const statuses = [429, 200];
+  const core = loadCore({
+    fetch: async () => response(statuses.shift(), { "Retry-After": "0" }),
+  });
+  core.setRunOptions();
+  const res = await core.rateLimitedFetch("https://api.crossref.org/works/10.1000/a");
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual({ ...core.getRunStats() }, { requests: 1, retried: 1, failed: 0 });
+});
+
+for (const reason of ["paused", "cancelled"]) {
+  test(`a ${reason} run rejects in-flight requests without retrying them`, async () => {
+    const core = loadCore({ fetch: fetchPendingUntilAbort });
+    const controller = new AbortController();
+    core.setRunOptions({ signal: controller.signal });
+    const pending = core.rateLimitedFetch("https://api.openalex.org/works/W1");
+    controller.abort(reason);
+    await assert.rejects(pending, { name: "AbortError", message: "Run " + reason });
+    assert.deepStrictEqual({ ...core.getRunStats() }, { requests: 1, retried: 0, failed: 0 });
+  });
+}
+
+test("queued requests of a stopped run are dropped", async () => {
+  const core = loadCore({ fetch: fetchPendingUntilAbort });
+  const controller = new AbortController();
+  core.setRunOptions({ signal: controller.signal });
+  // The Crossref host allows 4 requests in flight: the fifth waits in the queue
+  const pending = [1, 2, 3, 4, 5].map((n) =>
+    core.rateLimitedFetch("https://api.crossref.org/works/10.1000/" + n)
+  );
+  controller.abort("cancelled");
+  const results = await Promise.allSettled(pending);
+  assert.ok(results.every((r) => r.status === "rejected" && r.reason.name === "AbortError"));
+  assert.strictEqual(core.getRunStats().retried, 0);
+});
@@ -0,0 +1,71 @@
+// Reading the Retraction Watch index and turning its records into a status.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const core = require("../assets/js/core.js");
+
+test("the TSV gives every DOI its records, DOIs normalized", () => {
+  const { index, format } = core.parseRetractionWatchIndexText(
+    [
+      "doi\tnature\tretraction_date\treasons\tnotice_doi",
+      "10.1000/A\tRetraction\t2019-04-02\tFabrication of data;Paper mill\thttps://doi.org/10.1000/N",
+      "https://doi.org/10.1000/a\tExpression of concern\t2018-01-01\t\t",
+      "not-a-doi\tRetraction\t2019-01-01\t\t",
+      "",
+    ].join("\r\n")
+  );
+  assert.strictEqual(format, "rich");
+  assert.deepStrictEqual([...index.keys()], ["10.1000/a"]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(index.get("10.1000/a"))), [
+    {
+      nature: "Retraction",
+      date: "2019-04-02",
+      reasons: ["Fabrication of data", "Paper mill"],
+      noticeDoi: "10.1000/n",
+    },
+    { nature: "Expression of concern", date: "2018-01-01", reasons: [], noticeDoi: "" },
+  ]);
+});
+
+test("a plain DOI list is read in any layout", () => {
+  const { index, format } = core.parseRetractionWatchIndexText(
+    "10.1000/a, 10.1000/B;https://doi.org/10.1000/c\n\n10.1000/d"
+  );
+  assert.strictEqual(format, "plain");
+  assert.deepStrictEqual([...index.keys()], ["10.1000/a", "10.1000/b", "10.1000/c", "10.1000/d"]);
+  assert.deepStrictEqual(index.get("10.1000/a"), []);
+});
+
+test("the published DOI list parses as a plain index", () => {
+  const text = fs.readFileSync(path.join(__dirname, "..", "data", "retraction_watch_doi_index.txt"), "utf8");
+  const { index, format } = core.parseRetractionWatchIndexText(text);
+  assert.strictEqual(format, "plain");
+  assert.ok(index.size > 1000);
+});
+
+test("the most severe record sets the status; retractions set the date", () => {
+  const record = (nature, date) => ({ nature, date, reasons: [], noticeDoi: "" });
+  const info = core.determineRetractionStatusFromRetractionWatch([
+    record("Expression of concern", "2017-05-01"),
+    record("Retraction", "2019-04-02"),
+    record("Correction", "2016-01-01"),
+  ]);
+  assert.strictEqual(info.status, "retracted");
+  assert.strictEqual(info.retractionDate, "2019-04-02");
+  assert.strictEqual(info.signal, "Expression of concern; Retraction; Correction");
+
+  const eoc = core.determineRetractionStatusFromRetractionWatch([record("Expression of concern", "2017-05-01")]);
+  assert.strictEqual(eoc.status, "expression_of_concern");
+  assert.strictEqual(eoc.retractionDate, "");
+
+  const reinstated = core.determineRetractionStatusFromRetractionWatch([record("Reinstatement", "2020-01-01")]);
+  assert.strictEqual(reinstated.status, "ok");
+});
+
+test("a DOI found only in the plain list counts as retracted", () => {
+  const info = core.determineRetractionStatusFromRetractionWatch([]);
+  assert.strictEqual(info.status, "retracted");
+  assert.strictEqual(info.signal, "DOI present (DOI list only)");
+});
@@ -0,0 +1,108 @@
+// The page's Retraction Watch index loader: snapshot in IndexedDB, manifest,
+// delta files and the SHA-256 check. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { loadCore } = require("./helpers/load-app");
+const { fakeIndexedDB } = require("./helpers/fake-indexeddb");
+
+const HEADER = "doi\tnature\tretraction_date\treasons\tnotice_doi";
+const REC_A = "10.1000/a\tRetraction\t2019-01-02\tFabrication\t";
+const REC_B = "10.1000/b\tExpression of concern\t2020-03-04\t\t";
+const REC_C = "10.1000/c\tRetraction\t2021-05-06\tPaper mill\t";
+const tsv = (...records) => [HEADER, ...records].join("\n") + "\n";
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// Serves `files` (path under the page → body) like a static host; with
+// `online` false every request fails
+function staticHost(files, log = []) {
+  const host = { online: true, files, log };
+  host.fetch = async (url) => {
+    log.push(url);
+    if (!host.online) throw new TypeError("Failed to fetch");
+    const body = files[url];
+    if (body === undefined) return { ok: false, status: 404 };
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+  };
+  return host;
+}
+
+// A fresh page visit: new core.js, same browser storage
+async function visit(host, indexedDB) {
+  const core = loadCore({
+    fetch: host.fetch,
+    indexedDB,
+    crypto: crypto.webcrypto,
+    TextEncoder,
+  });
+  await core.ensureRetractionWatchIndex();
+  return { ...core.getRetractionWatchIndexMeta() };
+}
+
+test("without a manifest the index is still kept for offline visits", async () => {
+  const db = fakeIndexedDB();
+  const host = staticHost({ "data/retraction_watch_doi_index.txt": "10.1000/a\n10.1000/b\n" });
+
+  const first = await visit(host, db);
+  assert.strictEqual(first.loaded, true);
+  assert.strictEqual(first.format, "plain");
+  assert.strictEqual(first.size, 2);
+
+  host.online = false;
+  const offline = await visit(host, db);
+  assert.strictEqual(offline.loaded, true);
+  assert.strictEqual(offline.size, 2);
+  assert.strictEqual(offline.update.kind, "offline");
+});
+
+test("an older snapshot is brought up to date with delta files", async () => {
+  const db = fakeIndexedDB();
+  const v1 = tsv(REC_A, REC_B);
+  const host = staticHost({
+    "data/retraction_watch_manifest.json": { version: "v1", sha256: sha256(v1), deltas: [] },
+    "data/retraction_watch_index.tsv": v1,
+  });
+  assert.strictEqual((await visit(host, db)).update.kind, "full");
+
+  const v2 = tsv(REC_A, REC_C);
+  host.files["data/retraction_watch_manifest.json"] = {
+    version: "v2",
+    sha256: sha256(v2),
+    deltas: [{ from: "v1", to: "v2", path: "delta-v1-v2.json" }],
+  };
+  host.files["data/delta-v1-v2.json"] = { added: [REC_C], removed: [REC_B] };
+  host.files["data/retraction_watch_index.tsv"] = v2;
+  host.log.length = 0;
+
+  const meta = await visit(host, db);
+  assert.deepStrictEqual({ ...meta.update }, { kind: "delta", deltaFiles: 1, added: 1, removed: 1 });
+  assert.strictEqual(meta.manifest.version, "v2");
+  assert.strictEqual(meta.size, 2);
+  assert.ok(!host.log.includes("data/retraction_watch_index.tsv"), "full index downloaded");
+});
+
+test("deltas that do not match the manifest's SHA-256 fall back to the full index", async () => {
+  const db = fakeIndexedDB();
+  const v1 = tsv(REC_A);
+  const host = staticHost({
+    "data/retraction_watch_manifest.json": { version: "v1", sha256: sha256(v1), deltas: [] },
+    "data/retraction_watch_index.tsv": v1,
+  });
+  await visit(host, db);
+
+  const v2 = tsv(REC_A, REC_B, REC_C);
+  host.files["data/retraction_watch_manifest.json"] = {
+    version: "v2",
+    sha256: sha256(v2),
+    deltas: [{ from: "v1", to: "v2", path: "delta-v1-v2.json" }],
+  };
+  // The delta forgets REC_C
+  host.files["data/delta-v1-v2.json"] = { added: [REC_B], removed: [] };
+  host.files["data/retraction_watch_index.tsv"] = v2;
+
+  const meta = await visit(host, db);
+  assert.strictEqual(meta.update.kind, "full");
+  assert.strictEqual(meta.size, 3);
+  assert.strictEqual(meta.manifest.version, "v2");
+});
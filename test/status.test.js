@@ -0,0 +1,48 @@
+// Status from Crossref update metadata: the most severe signal wins.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const core = require("../assets/js/core.js");
+
+const update = (type, year) => ({
+  "update-type": type,
+  updated: { "date-parts": [[year, 3, 1]] },
+});
+
+test("an expression of concern never overrides a retraction", () => {
+  const info = core.determineRetractionStatusFromCrossref({
+    "updated-by": [update("retraction", 2021), update("expression_of_concern", 2022)],
+  });
+  assert.strictEqual(info.status, "retracted");
+  assert.strictEqual(info.retractionDate, "2021-03-01");
+});
+
+test("update-to and updated-by entries are merged", () => {
+  const info = core.determineRetractionStatusFromCrossref({
+    "update-to": [update("expression_of_concern", 2020)],
+    "updated-by": [update("retraction", 2021)],
+  });
+  assert.strictEqual(info.status, "retracted");
+});
+
+test("a correction after an expression of concern keeps the concern", () => {
+  const info = core.determineRetractionStatusFromCrossref({
+    "updated-by": [update("expression_of_concern", 2020), update("correction", 2021)],
+  });
+  assert.strictEqual(info.status, "expression_of_concern");
+  assert.strictEqual(info.retractionDate, "");
+});
+
+test("a retraction relation wins over update metadata", () => {
+  const info = core.determineRetractionStatusFromCrossref({
+    "updated-by": [update("correction", 2020)],
+    relation: { "is-retracted-by": [{ id: "10.1000/notice" }] },
+  });
+  assert.strictEqual(info.status, "retracted");
+});
+
+test("no update metadata means ok", () => {
+  const info = core.determineRetractionStatusFromCrossref({});
+  assert.strictEqual(info.status, "ok");
+  assert.strictEqual(info.signal, "no update metadata");
+});
@@ -0,0 +1,52 @@
+// Retraction timing against the citing date, at mixed date precision.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { loadApp } = require("./helpers/load-app");
+const core = require("../assets/js/core.js");
+
+const retracted = (retractionDate) => ({ status: "retracted", retractionDate });
+
+test("compareIsoDates compares at the precision of the less precise date", () => {
+  assert.strictEqual(core.compareIsoDates("2019", "2020-06-15"), -1);
+  assert.strictEqual(core.compareIsoDates("2020-07", "2020-06-15"), 1);
+  assert.strictEqual(core.compareIsoDates("2020", "2020-06-15"), 0);
+  assert.strictEqual(core.compareIsoDates("2020-06", "2020-06-15"), 0);
+  assert.strictEqual(core.compareIsoDates("2020-06-14", "2020-06-15"), -1);
+});
+
+test("a year-only retraction date in the citing year is the same period", () => {
+  assert.strictEqual(core.retractionTiming(retracted("2020"), "2020-06-15"), "same_period");
+  assert.strictEqual(core.retractionTiming(retracted("2019"), "2020-06-15"), "before_citation");
+  assert.strictEqual(core.retractionTiming(retracted("2021"), "2020-06-15"), "after_citation");
+});
+
+test("a retraction in the citing month is the same period", () => {
+  assert.strictEqual(core.retractionTiming(retracted("2020-06"), "2020-06-15"), "same_period");
+  assert.strictEqual(core.retractionTiming(retracted("2020-06-15"), "2020"), "same_period");
+  assert.strictEqual(core.retractionTiming(retracted("2020-05-30"), "2020-06"), "before_citation");
+});
+
+test("only retracted or withdrawn references with both dates are timed", () => {
+  assert.strictEqual(core.retractionTiming(retracted(""), "2020-06-15"), "");
+  assert.strictEqual(core.retractionTiming(retracted("2019"), ""), "");
+  assert.strictEqual(
+    core.retractionTiming({ status: "expression_of_concern", retractionDate: "2019" }, "2020"),
+    ""
+  );
+});
+
+test("cited-by timing uses the same comparison, seen from the cited side", () => {
+  const { ctx } = loadApp();
+  const timing = (retractionDate, citingDate) =>
+    vm.runInContext(
+      `citedByTiming(${JSON.stringify(retractionDate)}, ${JSON.stringify(citingDate)})`,
+      ctx
+    );
+  assert.strictEqual(timing("2020", "2020-06-15"), "same_period");
+  assert.strictEqual(timing("2020-06", "2020-06-15"), "same_period");
+  assert.strictEqual(timing("2020-05-01", "2020-06-15"), "after_retraction");
+  assert.strictEqual(timing("2021", "2020-06-15"), "before_retraction");
+  assert.strictEqual(timing("", "2020-06-15"), "");
+});
@@ -0,0 +1,71 @@
+// Re-screening the watchlist when a run stops part-way. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { loadApp } = require("./helpers/load-app");
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+const fullArticle = (doi) => ({
+  doi,
+  title: "Article " + doi,
+  counts: { total: 1, retracted: 1 },
+  interesting: [{ idx: 1, title: "Ref", doi: "10.1000/ref", status: "retracted" }],
+  stopped: null,
+});
+
+function setUp(checkArticle) {
+  const { ctx } = loadApp({ localStorage: memoryStorage() });
+  const statuses = [];
+  ctx.setStatus = (message, isError = false) => statuses.push({ message, isError });
+  ctx.checkArticle = checkArticle;
+  ctx.renderWatchlist = () => {};
+  vm.runInContext(
+    `saveWatchlist([{ doi: "10.1000/one", snapshot: null }, { doi: "10.1000/two", snapshot: null }])`,
+    ctx
+  );
+  return { ctx, statuses, run: (code) => vm.runInContext(code, ctx) };
+}
+
+test("a watchlist run stopped by an error says so and can be resumed", async () => {
+  const calls = [];
+  const { statuses, run } = setUp(async (doi, hooks, previous) => {
+    calls.push({ doi, previous });
+    if (doi === "10.1000/two" && !previous) {
+      return {
+        ...fullArticle(doi),
+        stopped: { reason: "error", message: "network error", checked: 3, total: 10 },
+      };
+    }
+    return fullArticle(doi);
+  });
+
+  await run("rescreenWatchlist()");
+  const stoppedStatus = statuses[statuses.length - 1];
+  assert.strictEqual(stoppedStatus.isError, true);
+  assert.match(stoppedStatus.message, /^Watchlist 2\/2 \(10\.1000\/two\): Stopped after 3\/10 references: network error/);
+  assert.strictEqual(run("loadWatchlist()[1].lastRunAt"), undefined);
+
+  await run("resumeTask()");
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(calls[2].doi, "10.1000/two");
+  assert.ok(calls[2].previous && calls[2].previous.stopped, "resume did not continue the article");
+  assert.match(statuses[statuses.length - 1].message, /^Watchlist re-screened: 2 articles, 2 references newly/);
+});
+
+test("a cancelled watchlist run is not offered for resuming", async () => {
+  const { run } = setUp(async (doi) => ({
+    ...fullArticle(doi),
+    stopped: { reason: "cancelled", checked: 0, total: 1 },
+  }));
+  await run("rescreenWatchlist()");
+  assert.strictEqual(run("resumeTask"), null);
+  assert.strictEqual(run("loadWatchlist()[0].snapshot"), null);
+});